@@ -0,0 +1,1606 @@
+import * as THREE from 'three';
+import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import { DRACOLoader } from 'three/addons/loaders/DRACOLoader.js';
+import { MeshoptDecoder } from 'three/addons/libs/meshopt_decoder.module.js';
+import WebGL from 'three/addons/capabilities/WebGL.js';
+import { EASINGS, loadSequence, resolveSequence } from './sequence.js';
+import { DEFAULT_GROUPING, detectComponents, logGroupingReport } from './components.js';
+import { StepLoader, cadFormatFromUrl } from './step-loader.js';
+import { ComponentPicker } from './picking.js';
+import { BillOfMaterials } from './bom.js';
+import { RevisionDiff, compareRevisions, changeColor } from './revision-diff.js';
+import { AnnotationLayer, DimensionOverlay, DISPLAY_UNITS } from './dimensions.js';
+import { MeasureTool } from './measure.js';
+import { SectionPlanes } from './section.js';
+import { WireHarness, loadNetlist } from './wiring.js';
+import { PlaybackControls } from './playback-controls.js';
+import { WorkInstructions, loadInstructions } from './work-instructions.js';
+import { computeExplodeOffsets } from './explode.js';
+import { createAssemblyState, createRandom, layoutComponents, scatterComponents, poseComponents, runProgress, runPosition } from './assembly-core.js';
+import { DEFAULT_LINE_STYLE, updateLineResolution, floatPositions } from './line-styles.js';
+import { DEFAULT_LOD, processOnMainThread, buildLevels, setLevel, updateLevels } from './lod.js';
+import { PartBatches, shareIdenticalGeometry } from './batching.js';
+import { QualityGovernor } from './quality.js';
+import { DEFAULT_THEME, resolveTheme, sameTheme, categoryColor, compileCategoryRules, componentCategory, ThemeWatcher } from './theme.js';
+import { PROCESSING_VERSION } from './mesh-processing.js';
+import { WorkerPool } from './worker-pool.js';
+import { hashBuffer, readCache, writeCache } from './geometry-cache.js';
+import { isPackageUrl, loadPackageManifest, readPackage } from './model-package.js';
+import {
+    DEFAULT_VIEW_PADDING, heroView, resolveViewSpec, resolveCameraKeyframes, fitView, applyView, currentView,
+    interpolateViews, keyframeViewAt
+} from './camera-views.js';
+import { projectVisibleEdges, buildSVG, buildPDF, downloadFile } from './vector-export.js';
+
+// Decoders for compressed glTF (KHR_draco_mesh_compression), same three.js release as the import map
+const DRACO_DECODER_PATH = 'https://cdn.jsdelivr.net/npm/three@0.160.0/examples/jsm/libs/draco/gltf/';
+
+const DEFAULT_DESCRIPTION = 'Line drawing of an industrial control panel assembling part by part.';
+const KEYBOARD_HINT = 'Once assembled, arrow keys rotate the view and Home returns to the starting view. Space plays or pauses.';
+const KEYBOARD_ORBIT_STEP = THREE.MathUtils.degToRad(15);
+let viewerCount = 0; // For unique element ids
+
+export { DEFAULT_THEME };
+
+// Embeddable assembly viewer
+//
+// Options:
+//   container:      element or selector to render into (default #animation-container)
+//   overlayElement: where the part panel and tools go (default the container's parent,
+//                   since the hero container ignores pointer events)
+//   scrollElement:  element whose scroll position drives scroll playback
+//                   (default the container's enclosing <section>)
+//   modelUrl:       GLB/glTF, STEP/IGES or a package manifest.json (see model-package.js);
+//                   loaded immediately when given
+//   compareWith:    earlier revision of the model to show the changes from (see revision-diff.js)
+//   sequence:       assembly sequence manifest (URL or object)
+//   instructions:   step captions and notes for work-instruction mode (URL or object, see work-instructions.js)
+//   instructionMode: open work-instruction mode instead of playing once loaded (default false)
+//   grouping:       component grouping options (see components.js)
+//   theme:          colours, over the page's --viewer-* CSS properties (see theme.js)
+//   categories:     name rules for category accents, ahead of the defaults (see theme.js)
+//   lineStyle:      silhouettes, crease angle, line weights, hidden lines (see line-styles.js)
+//   lod:            mesh decimation and level-of-detail settings (see lod.js)
+//   quality:        adaptive resolution and detail to hold a frame rate (see quality.js)
+//   dracoDecoderPath: where the Draco WASM decoder is fetched from
+//   projection:     'orthographic' (default) or 'perspective'; fov in degrees for perspective (default 30)
+//   view:           starting view preset (default the hero framing), see camera-views.js
+//   viewPadding:    margin when framing a view (default 1.1)
+//   cameraKeyframes: camera moves tied to assembly progress (else the sequence's "camera" array)
+//   description:    accessible description of the canvas (and alt text of the fallback)
+//   fallbackImage:  static drawing shown when WebGL is unavailable or the model fails to load
+//   reducedMotion:  'auto' (default) follows prefers-reduced-motion; true skips the fly-in
+//                   and fades in the assembled panel; false always animates
+//   autoplay:       start playback once loaded (default true)
+//   duration:       timed run length in ms (default 4000)
+//   seed:           integer or string seeding the scatter, for the same intro on every load
+//                   (default random, see assembly-core.js)
+//   playbackRate:   speed of timed runs (default 1)
+//   playbackControls: show the play/scrub/speed bar (default true, see playback-controls.js)
+//   dimensions:     show overall dimensions once assembled (default false, see dimensions.js)
+//   units:          'mm' (default) or 'in' for dimensions and measurements
+//   sections:       section planes to start with, { x, y, z, free: position 0-1 or true } (see section.js)
+//   bom:            open the parts list (bill of materials) once loaded (default false, see bom.js)
+//   wires:          netlist drawn in through the wire ducts once assembled (URL or rows, see wiring.js)
+//   ducts:          name rules for the wire ducts (default names with duct, trunking or channel)
+//   modelUnit:      length unit of the model: 'm', 'cm', 'mm' or 'in'
+//                   (default 'm' for glTF and packages, 'mm' for STEP/IGES)
+//   playbackMode, scrollRange, scrollSmoothing: see below
+//
+// Events (addEventListener): 'progress' (loading), 'loaded', 'timeupdate',
+// 'step', 'complete', 'playbackchange' (playing, direction, speed or auto-rotate
+// changed), 'instructionstep' (work-instruction step shown), 'measure'
+// (distance and clearance in mm, see measure.js), 'select' (component picked
+// or cleared), 'error'
+export class AssemblyAnimation extends THREE.EventDispatcher {
+    constructor(options = {}) {
+        super();
+
+        this.container = typeof options.container === 'string'
+            ? document.querySelector(options.container)
+            : options.container || document.getElementById('animation-container');
+        if (!this.container) {
+            throw new Error('AssemblyAnimation: container element not found');
+        }
+        // The hero container ignores pointer events (style.css), so the part panel,
+        // playback bar, tools and the other panels all go in the overlay element
+        // beside it, where they can be clicked
+        this.overlayElement = options.overlayElement || this.container.parentElement || this.container;
+        this.scrollElement = options.scrollElement || this.container.closest('section') || this.container;
+        this.loadingElement = options.loadingElement || this.container.querySelector('#loading, .loading');
+        this.ownsLoadingElement = !this.loadingElement; // Made here, so dispose() removes it
+        if (this.ownsLoadingElement) {
+            this.loadingElement = document.createElement('div');
+            this.loadingElement.className = 'loading';
+            this.container.appendChild(this.loadingElement);
+        }
+
+        this.description = options.description || DEFAULT_DESCRIPTION;
+        this.fallbackImage = options.fallbackImage || null;
+        this.fallbackElement = null;
+        this.reducedMotion = options.reducedMotion ?? 'auto';
+
+        // Colours follow the page's CSS (see theme.js); the option wins
+        this.themeOverrides = options.theme || {};
+        this.theme = resolveTheme(this.container, this.themeOverrides);
+        this.categoryRules = compileCategoryRules(options.categories);
+        this.lineStyle = { ...DEFAULT_LINE_STYLE, ...options.lineStyle };
+        this.lod = { ...DEFAULT_LOD, ...options.lod };
+        this.quality = new QualityGovernor(options.quality, (settings) => this.applyQuality(settings));
+        this.pixelErrorScale = 1; // LOD tolerance multiplier from the quality governor
+        this.autoRotateSpeed = 1.0; // Slow spin (25% of 4.0), before quality scaling
+        this.dracoDecoderPath = options.dracoDecoderPath || DRACO_DECODER_PATH;
+        this.dracoLoader = null; // Created on first GLB load
+
+        // Edge extraction and decimation run here, off the main thread
+        this.geometryPool = typeof Worker !== 'undefined'
+            ? new WorkerPool(new URL('./geometry-worker.js', import.meta.url), { workerOptions: { type: 'module' } })
+            : null;
+        this.autoplay = options.autoplay !== false;
+        this.duration = options.duration || 4000;
+        this.playbackRate = options.playbackRate || 1;
+        this.playbackDirection = 1; // -1 while disassembling
+        this.runStart = 0; // Timed run position (0-1, before easing) at startTime
+        this.showPlaybackControls = options.playbackControls !== false;
+
+        // Playback mode:
+        //   'autoplay'             - timed run on load, then auto-rotate
+        //   'scroll'               - hero scroll position scrubs the assembly
+        //   'autoplay-then-scroll' - timed run once, then scroll takes over
+        this.playbackMode = options.playbackMode || 'autoplay-then-scroll';
+        this.scrollRange = options.scrollRange || 0.5; // Fraction of hero height that maps to the full timeline
+        this.scrollSmoothing = options.scrollSmoothing || 6; // Damping rate for scroll inertia (higher = snappier)
+        this.sequenceSource = options.sequence || null; // Optional assembly sequence manifest (URL or object)
+        this.instructionsSource = options.instructions || null; // Step text for work-instruction mode
+        this.instructionTexts = null; // Step name -> { caption, notes }
+        this.startInInstructions = options.instructionMode === true;
+        this.grouping = { ...DEFAULT_GROUPING, ...options.grouping }; // How the node hierarchy becomes components
+        this.modelUrl = options.modelUrl || null; // GLB/glTF, STEP/IGES parsed in the browser, or a preprocessed package
+        this.previousUrl = options.compareWith || null; // Earlier revision for compare mode
+
+        // Camera views: presets, transitions and keyframes tied to the timeline
+        this.projection = options.projection === 'perspective' ? 'perspective' : 'orthographic';
+        this.initialView = options.view || null; // null: the hero framing (see heroView)
+        this.viewPadding = options.viewPadding || DEFAULT_VIEW_PADDING;
+        this.cameraKeyframeSource = options.cameraKeyframes || null;
+        this.cameraKeyframes = [];
+        this.viewTransition = null;
+        this.stepRun = null; // Timeline run of one work-instruction step
+        this.viewDistance = 100; // Orthographic camera distance from its target, set by frameModel
+
+        this.scene = new THREE.Scene();
+
+        const aspect = window.innerWidth / window.innerHeight;
+        if (this.projection === 'perspective') {
+            this.camera = new THREE.PerspectiveCamera(options.fov || 30, aspect, 0.1, 10000);
+        } else {
+            // Setup Orthographic Camera
+            const frustumSize = 1000; // Initial size, will be adjusted by frameModel
+            this.camera = new THREE.OrthographicCamera(
+                frustumSize * aspect / -2,
+                frustumSize * aspect / 2,
+                frustumSize / 2,
+                frustumSize / -2,
+                0.1,
+                10000
+            );
+        }
+
+        this.renderer = null; // Created by init() when WebGL is available
+        this.controls = null;
+
+        // Components with their assembled, scattered and exploded transforms, timeline
+        // windows and bounds; the DOM-free part of the viewer (see assembly-core.js)
+        Object.assign(this, createAssemblyState());
+        this.componentGroups = [];
+        this.partBatches = null; // Draws every part, one batch per unique geometry
+        this.sequence = null;
+        this.seed = options.seed ?? null; // Same scatter on every load when set
+
+        // Exploded view: leader lines from installed to exploded positions
+        this.showLeaderLines = false;
+        this.leaderLines = null;
+
+        // Dimensions and measurements, converted from the model's units
+        this.showDimensions = options.dimensions === true;
+        this.units = options.units === 'in' ? 'in' : 'mm';
+        this.modelUnitOption = options.modelUnit || null;
+        this.modelUnit = this.modelUnitOption || 'm';
+        this.sectionOptions = options.sections || {};
+        this.showBOM = options.bom === true;
+
+        // Wiring from a netlist, routed once the model is in
+        this.wiresSource = options.wires || null;
+        this.netlist = null;
+        this.ductRules = options.ducts || null;
+
+        // Timeline state shared by auto-play and scroll scrubbing
+        this.clock = new THREE.Clock();
+        this.currentProgress = 0;
+        this.targetProgress = 0;
+        this.isAnimating = false; // A timed run is playing
+        this.isScrollScrubbing = false;
+        this.scrollAnchor = 0;
+        this.scrollReversed = false;
+        this.steps = [];
+        this.currentStep = null;
+
+        // Render on demand: frames run while something moves, otherwise only after a change
+        this.frameId = null;
+        this.needsRender = true;
+        this.onScreen = true;
+        this.isVisible = true; // On screen and the page not hidden
+        this.suspendedAt = 0;
+
+        this.loadToken = 0;
+        this.onWindowResize = this.onWindowResize.bind(this);
+        this.onScroll = this.onScroll.bind(this);
+        this.onVisibilityChange = this.onVisibilityChange.bind(this);
+        this.onKeyDown = this.onKeyDown.bind(this);
+
+        // Without WebGL the static drawing stands in
+        this.supported = WebGL.isWebGLAvailable();
+        if (this.supported) {
+            this.init();
+        } else {
+            this.disposed = true;
+            this.showFallback('This browser can\'t display the 3D model.');
+        }
+    }
+
+    init() {
+        // Setup renderer
+        const container = this.container;
+        const width = container.clientWidth;
+        const height = container.clientHeight;
+
+        this.renderer = new THREE.WebGLRenderer({ antialias: true, stencil: true }); // Stencil caps the section cuts
+        this.renderer.localClippingEnabled = true;
+        this.renderer.setSize(width, height);
+        this.renderer.setClearColor(this.theme.background, 1); // Matches the page behind the canvas
+        container.appendChild(this.renderer.domElement);
+        this.setupAccessibility();
+
+        // Setup camera
+        // Use actual container aspect ratio to prevent squishing
+        const aspect = width / height;
+        const frustumSize = 40; // Initial size, will be adjusted by frameModel
+
+        // Update camera with correct aspect
+        if (this.camera.isPerspectiveCamera) {
+            this.camera.aspect = aspect;
+        } else {
+            this.camera.left = -frustumSize * aspect / 2;
+            this.camera.right = frustumSize * aspect / 2;
+            this.camera.top = frustumSize / 2;
+            this.camera.bottom = -frustumSize / 2;
+        }
+        this.camera.updateProjectionMatrix();
+
+        this.camera.position.set(100, 100, 100);
+        this.camera.lookAt(0, 0, 0);
+
+        // Setup controls
+        this.controls = new OrbitControls(this.camera, this.renderer.domElement);
+        this.controls.enableDamping = true;
+        this.controls.dampingFactor = 0.05;
+        this.controls.enableZoom = false; // Disable zoom for scroll animation
+        this.controls.enablePan = false;  // Disable pan
+        this.controls.enableRotate = false; // Fixed view until the panel is assembled
+        this.controls.addEventListener('change', () => this.requestRender());
+        this.controls.addEventListener('start', () => this.setAutoRotate(false)); // Orbiting takes over from the spin
+
+        // Pixel ratio, LOD tolerance and spin speed; the governor adjusts them while running
+        this.applyQuality(this.quality.settings);
+
+        // Hover/click picking, enabled once the panel is assembled
+        this.picker = new ComponentPicker(this);
+
+        // Parts list linked to the picking highlights
+        this.bom = new BillOfMaterials(this);
+
+        // Changes from an earlier revision in compare mode
+        this.revisionDiff = new RevisionDiff(this);
+
+        // Overall dimensions and the measure tool, drawn over the canvas
+        this.annotationLayer = new AnnotationLayer(this);
+        this.dimensions = new DimensionOverlay(this, this.annotationLayer);
+        this.measureTool = new MeasureTool(this, this.annotationLayer);
+
+        // Section planes that cut the enclosure open
+        this.sections = new SectionPlanes(this, this.sectionOptions);
+
+        // Wires from the netlist, drawn in after the parts
+        this.wiring = new WireHarness(this, { ducts: this.ductRules });
+
+        // Step-by-step build guide over the same sequence
+        this.workInstructions = new WorkInstructions(this);
+
+        // Restyle when the page's theme changes
+        this.themeWatcher = new ThemeWatcher(() => this.updateTheme());
+
+        // Minimal lighting for wireframe style
+        const ambientLight = new THREE.AmbientLight(0xffffff, 1);
+        this.scene.add(ambientLight);
+
+        // No directional light or shadows for flat hidden-line look
+
+        // No grid for clean wireframe look
+
+        // No post-processing for clean wireframe
+
+        // Setup UI
+        this.setupUI();
+        if (this.showPlaybackControls) this.playbackControls = new PlaybackControls(this);
+
+        // Handle resize (window, and the container itself when embedded in a changing layout)
+        window.addEventListener('resize', this.onWindowResize);
+        if (typeof ResizeObserver !== 'undefined') {
+            this.resizeObserver = new ResizeObserver(this.onWindowResize);
+            this.resizeObserver.observe(container);
+        }
+
+        // Track hero scroll position for scroll-linked playback
+        window.addEventListener('scroll', this.onScroll, { passive: true });
+
+        // Stop rendering while the canvas is scrolled away or the tab is hidden
+        document.addEventListener('visibilitychange', this.onVisibilityChange);
+        if (typeof IntersectionObserver !== 'undefined') {
+            this.intersectionObserver = new IntersectionObserver(([entry]) => {
+                this.onScreen = entry.isIntersecting;
+                this.onVisibilityChange();
+            });
+            this.intersectionObserver.observe(container);
+        }
+
+        // Load model
+        if (this.modelUrl) {
+            // Failures are reported through the 'error' event and the loading element
+            this.load(this.modelUrl, this.previousUrl).catch(() => {});
+        }
+
+        // First frame; the loop keeps itself going while anything moves
+        this.requestRender();
+    }
+
+    async load(url = this.modelUrl, previousUrl = null) {
+        // previousUrl: earlier revision to compare with, loaded the same way
+        if (!this.supported) return;
+
+        // A newer load() wins if calls overlap
+        const token = ++this.loadToken;
+        this.modelUrl = url;
+        this.previousUrl = previousUrl;
+
+        this.pause();
+        this.clearModel();
+        this.hideFallback();
+        this.loadingElement.style.display = '';
+        this.loadingElement.textContent = 'Loading Model...';
+
+        // Fetch the sequence alongside the model; a bad manifest falls back to size order
+        const sequencePromise = this.sequenceSource
+            ? loadSequence(this.sequenceSource).catch((error) => {
+                console.warn('Error loading assembly sequence, using size order:', error);
+                return null;
+            })
+            : Promise.resolve(null);
+
+        // Work-instruction text is optional too; steps without it show just their names
+        const instructionsPromise = this.instructionsSource
+            ? loadInstructions(this.instructionsSource).catch((error) => {
+                console.warn('Error loading work instructions:', error);
+                return null;
+            })
+            : Promise.resolve(null);
+
+        // So is the netlist; the panel assembles without wires
+        const netlistPromise = this.wiresSource
+            ? loadNetlist(this.wiresSource).catch((error) => {
+                console.warn('Error loading netlist:', error);
+                return null;
+            })
+            : Promise.resolve(null);
+
+        // CAD files go through the OpenCASCADE worker, which works in millimetres
+        const isCadFile = cadFormatFromUrl(url) !== null;
+        this.modelUnit = this.modelUnitOption || (isCadFile ? 'mm' : 'm');
+
+        try {
+            const [current, previous] = await Promise.all([
+                this.readModel(url, token),
+                previousUrl ? this.readModel(previousUrl, token) : null
+            ]);
+            const [sequence, instructionTexts, netlist] = await Promise.all([sequencePromise, instructionsPromise, netlistPromise]);
+            if (token !== this.loadToken || this.disposed) return;
+
+            // Compare mode: both revisions' components, each marked with how it changed
+            const { model } = current;
+            const { prepared, detected } = previous ? compareRevisions(previous, current, this.grouping) : current;
+
+            this.sequence = sequence;
+            this.instructionTexts = instructionTexts;
+            this.netlist = netlist;
+            this.processModel(model, prepared, detected);
+        } catch (error) {
+            if (token !== this.loadToken || this.disposed) return;
+
+            console.error(isCadFile ? 'Error loading STEP file:' : 'Error loading GLTF:', error);
+            this.showFallback(isCadFile ? 'The CAD file couldn\'t be loaded.' : 'The 3D model couldn\'t be loaded.');
+            this.dispatchEvent({ type: 'error', error });
+            throw error;
+        }
+    }
+
+    async readModel(url, token) {
+        // { model, prepared, detected } for any supported file; detected only for packages.
+        // Null once a newer load() has taken over
+        if (isPackageUrl(url)) {
+            // Components, edges and LOD levels were worked out by tools/package-model.mjs
+            return this.loadPackage(url);
+        }
+
+        // The raw file is hashed (before the STEP worker takes the buffer) to key the geometry cache
+        const buffer = await this.fetchModel(url);
+        const modelHash = await hashBuffer(buffer);
+        const model = cadFormatFromUrl(url) !== null
+            ? await this.parseStepFile(buffer, url)
+            : (await this.parseModel(buffer, url)).scene;
+        if (token !== this.loadToken || this.disposed) return null;
+
+        return { model, prepared: await this.prepareGeometry(model, modelHash) };
+    }
+
+    compare(previousUrl, url = this.modelUrl) {
+        // Load a model with the changes from an earlier revision; load() alone leaves compare mode
+        return this.load(url, previousUrl);
+    }
+
+    fetchModel(url) {
+        const loader = new THREE.FileLoader();
+        loader.setResponseType('arraybuffer');
+
+        return new Promise((resolve, reject) => {
+            loader.load(
+                url,
+                resolve,
+                (progress) => {
+                    const fraction = progress.total ? progress.loaded / progress.total : 0;
+                    this.loadingElement.textContent = `Loading: ${(fraction * 100).toFixed(0)}%`;
+                    this.dispatchEvent({ type: 'progress', stage: 'download', progress: fraction });
+                },
+                reject
+            );
+        });
+    }
+
+    async parseModel(buffer, url) {
+        const loader = new GLTFLoader();
+
+        // Draco and meshopt (EXT_meshopt_compression) compressed GLBs; the Draco
+        // decoder is only downloaded when a file uses it
+        if (!this.dracoLoader) {
+            this.dracoLoader = new DRACOLoader();
+            this.dracoLoader.setDecoderPath(this.dracoDecoderPath);
+        }
+        loader.setDRACOLoader(this.dracoLoader);
+        loader.setMeshoptDecoder(MeshoptDecoder);
+
+        // Relative buffer and texture URIs resolve against the model's folder
+        return loader.parseAsync(buffer, THREE.LoaderUtils.extractUrlBase(url));
+    }
+
+    async loadPackage(url) {
+        const manifest = await loadPackageManifest(url);
+        const modelUrl = new URL(manifest.model, new URL(url, document.baseURI)).href;
+        const gltf = await this.parseModel(await this.fetchModel(modelUrl), modelUrl);
+        return readPackage(gltf, manifest);
+    }
+
+    async parseStepFile(buffer, url) {
+        // STEP/IGES is triangulated by OpenCASCADE (WASM) in a worker, then goes
+        // through the same processModel pipeline as a GLB
+        const loader = new StepLoader();
+        const stageLabels = {
+            init: 'Starting CAD engine',
+            parse: 'Parsing CAD file',
+            mesh: 'Building meshes'
+        };
+
+        try {
+            return await loader.parse(buffer, cadFormatFromUrl(url), ({ stage, progress }) => {
+                // Parsing is a single blocking call in the worker, so it has no percentage
+                const percent = stage === 'parse' || stage === 'init' ? '' : `: ${(progress * 100).toFixed(0)}%`;
+                this.loadingElement.textContent = `${stageLabels[stage]}${percent}`;
+                this.dispatchEvent({ type: 'progress', stage, progress });
+            });
+        } finally {
+            // The worker holds the WASM heap; free it once the model is built
+            loader.dispose();
+        }
+    }
+
+    async prepareGeometry(model, modelHash) {
+        // Bounds, edge data and LOD levels per unique geometry: from the IndexedDB
+        // cache when this exact file was processed before, otherwise in workers.
+        // Copies of a part exported as separate meshes are folded into one first.
+        const folded = shareIdenticalGeometry(model);
+        if (folded > 0) console.log(`${folded} meshes share geometry with an identical part`);
+
+        const geometries = new Set();
+        model.traverse((child) => {
+            if (child.isMesh) geometries.add(child.geometry);
+        });
+        const list = Array.from(geometries);
+
+        const { enabled, minTriangles, levels } = this.lod;
+        const lodSettings = { enabled, minTriangles, levels };
+        const cacheKey = modelHash && `${modelHash}:${PROCESSING_VERSION}:${JSON.stringify(lodSettings)}`;
+
+        let results = cacheKey ? await readCache(cacheKey) : null;
+        if (!results || results.length !== list.length) {
+            this.loadingElement.textContent = 'Processing geometry...';
+            this.dispatchEvent({ type: 'progress', stage: 'process', progress: 0 });
+
+            let done = 0;
+            results = await Promise.all(list.map((geometry) => this.processGeometry(geometry, lodSettings).then((result) => {
+                done++;
+                this.dispatchEvent({ type: 'progress', stage: 'process', progress: done / list.length });
+                return result;
+            })));
+            if (cacheKey) writeCache(cacheKey, results);
+        }
+
+        // Bounds set here mean grouping and sorting never walk vertices again
+        const prepared = new Map();
+        list.forEach((geometry, i) => {
+            geometry.boundingBox = new THREE.Box3().setFromArray(results[i].bounds);
+            prepared.set(geometry, buildLevels(geometry, results[i].levels));
+        });
+        return prepared;
+    }
+
+    processGeometry(geometry, lod) {
+        const attribute = geometry.attributes.position;
+        const index = geometry.index ? geometry.index.array : null;
+
+        if (this.geometryPool) {
+            // Workers get copies; the originals stay with the renderer
+            const positions = floatPositions(attribute);
+            const position = positions === attribute.array ? positions.slice() : positions;
+            const indexCopy = index ? index.slice() : null;
+            const transfer = indexCopy ? [position.buffer, indexCopy.buffer] : [position.buffer];
+
+            return this.geometryPool.run({ position, index: indexCopy, lod }, transfer).catch((error) => {
+                console.warn('Geometry worker failed, processing on the main thread:', error);
+                this.geometryPool = null;
+                return processOnMainThread(floatPositions(attribute), index, lod);
+            });
+        }
+
+        return processOnMainThread(floatPositions(attribute), index, lod);
+    }
+
+    clearModel() {
+        // Drop the current model and everything derived from it
+        this.workInstructions.stop();
+        this.setInteractive(false);
+
+        // Component groups only hold stand-ins; the batches own the GPU resources
+        this.components.forEach((component) => this.scene.remove(component));
+        if (this.partBatches) {
+            this.scene.remove(this.partBatches.root);
+            this.partBatches.dispose();
+            this.partBatches = null;
+        }
+
+        if (this.leaderLines) {
+            this.scene.remove(this.leaderLines);
+            this.leaderLines.geometry.dispose();
+            this.leaderLines.material.dispose();
+            this.leaderLines = null;
+        }
+
+        this.sections.setModel(null);
+        this.wiring.clear();
+        this.bom.setModel([]);
+        this.revisionDiff.setModel([]);
+        this.components = [];
+        this.componentGroups = [];
+        [
+            this.originalPositions, this.originalRotations, this.originalScales,
+            this.scatteredPositions, this.scatteredRotations, this.scatteredScales,
+            this.componentSizes, this.componentBoxes, this.componentTimings, this.explodeOffsets
+        ].forEach((map) => map.clear());
+        this.modelBounds.makeEmpty();
+        this.steps = [];
+        this.currentStep = null;
+        this.currentProgress = 0;
+        this.targetProgress = 0;
+        this.cameraKeyframes = [];
+        this.viewTransition = null;
+        this.setAutoRotate(false);
+        this.controls.enableRotate = false;
+        this.requestRender();
+        this.notifyPlayback();
+    }
+
+    processModel(model, prepared, detected = detectComponents(model, this.grouping)) {
+        // Cut the node hierarchy into rigid components (already done for packages);
+        // every merge or drop is reported
+        const { report } = detected;
+        this.groupingReport = report;
+        logGroupingReport(report);
+
+        // Every copy of a geometry is drawn by one batch: instanced occluders plus
+        // edge and hidden-line passes (see batching.js)
+        this.partBatches = new PartBatches(this.lineStyle, this.theme.background, this.renderer.capabilities.isWebGL2);
+
+        // One group per component at its place in the centred model, largest first
+        // in this.components (see assembly-core.js); the groups get their parts here
+        layoutComponents(this, detected, (group, { node, meshes, change }) => {
+            // Meshes are placed relative to the component's node
+            const nodeInverse = node.matrixWorld.clone().invert();
+
+            const category = componentCategory(group, this.categoryRules);
+            // Compare mode colours parts by how they changed instead of by category
+            const color = change ? changeColor(this.theme, change.type) : categoryColor(this.theme, category);
+            const parts = [];
+
+            meshes.forEach((mesh) => {
+                // Full-detail geometry plus decimated levels for heavy meshes, each with its
+                // edges (see prepareGeometry); glTF instances and identical meshes share one set
+                const part = this.partBatches.add(prepared.get(mesh.geometry), color);
+
+                // The group is placed at the node's world transform, so each part
+                // keeps its transform relative to the node (identity when the mesh IS the node)
+                const localMatrix = nodeInverse.clone().multiply(mesh.matrixWorld);
+                localMatrix.decompose(part.position, part.quaternion, part.scale);
+                group.add(part);
+                parts.push(part);
+            });
+
+            this.scene.add(group);
+            this.componentGroups.push(change ? { group, parts, category, change } : { group, parts, category });
+        });
+
+        this.partBatches.build();
+        this.scene.add(this.partBatches.root);
+
+        // Remove original model from scene (we've cloned what we need)
+        if (model.parent) {
+            model.parent.remove(model);
+        }
+
+        // Section planes are placed across the centred bounds
+        this.sections.setModel(this.partBatches);
+
+        // Assign timeline windows: sequence steps first, size order for the rest
+        this.componentTimings = resolveSequence(this.components, this.sequence, this.componentSizes);
+
+        // Named steps, in timeline order, for 'step' events
+        this.steps = this.collectSteps();
+
+        // Exploded-view directions (largest component is the base)
+        this.explodeOffsets = computeExplodeOffsets(this.components, this.componentBoxes);
+        this.createLeaderLines();
+
+        // Wires are routed through the ducts where the parts end up
+        this.wiring.build(this.netlist);
+
+        // Camera moves on the timeline: the option, else the sequence manifest's "camera" array
+        const keyframes = this.cameraKeyframeSource || (this.sequence && this.sequence.camera);
+        this.cameraKeyframes = resolveCameraKeyframes(keyframes, this.components, this.componentBoxes, this.modelBounds, this.viewPadding);
+
+        // Auto-frame camera
+        this.frameModel();
+
+        // Categories from extras may have accents of their own in the CSS
+        this.updateTheme();
+
+        // One parts-list row per part, counted over the components (removed ones no longer count)
+        this.bom.setModel(this.componentGroups.filter(({ change }) => !change || change.type !== 'removed'));
+        if (this.showBOM) this.bom.setVisible(true);
+
+        // Change summary when comparing revisions
+        this.revisionDiff.setModel(this.componentGroups);
+
+        // Initial scatter
+        this.scatterComponents('spiral');
+        this.requestRender();
+
+        this.loadingElement.style.display = 'none';
+        console.log(`Loaded ${this.components.length} components, ${this.partBatches.parts.length} meshes in ${this.partBatches.batches.length} batches`);
+
+        this.dispatchEvent({
+            type: 'loaded',
+            components: this.components.slice(),
+            report: this.groupingReport
+        });
+        this.notifyPlayback(); // Shows the playback bar
+
+        // Start auto-play or scroll-linked playback (scroll mode always follows the page),
+        // or the build guide; revisions are compared on the assembled panel
+        if (this.revisionDiff.comparing) {
+            this.seek(1);
+        } else if (this.startInInstructions) {
+            this.workInstructions.start();
+        } else if (this.autoplay || this.playbackMode === 'scroll') {
+            this.startPlayback();
+        }
+    }
+
+    collectSteps() {
+        const steps = new Map();
+        this.componentTimings.forEach((timing) => {
+            if (!timing.step) return;
+            const step = steps.get(timing.step) || { name: timing.step, start: timing.start, end: timing.end };
+            step.start = Math.min(step.start, timing.start);
+            step.end = Math.max(step.end, timing.end);
+            steps.set(timing.step, step);
+        });
+        return Array.from(steps.values()).sort((a, b) => a.start - b.start);
+    }
+
+    frameModel() {
+        if (this.modelBounds.isEmpty()) return;
+
+        // Far enough back that an orthographic camera never clips the model
+        const size = this.modelBounds.getSize(new THREE.Vector3());
+        this.viewDistance = Math.max(size.x, size.y, size.z) * 2;
+
+        if (this.cameraKeyframes.length > 0) {
+            this.showView(keyframeViewAt(this.cameraKeyframes, this.currentProgress, this.getAspect()));
+        } else {
+            this.showView(this.startView());
+        }
+        this.controls.update();
+    }
+
+    setView(view, options = {}) {
+        // Move to a preset ('front', 'top', 'iso', 'interior', ...) or [x, y, z] direction;
+        // no view goes back to the starting one.
+        // options: duration (ms, 0 jumps), frame (component names to fit), padding
+        if (this.modelBounds.isEmpty()) return;
+
+        const { duration = this.prefersReducedMotion() ? 0 : 800, frame, padding } = options;
+        const target = view ? this.fitViewSpec({ view, frame, padding }) : this.startView();
+
+        // A chosen view stays put
+        this.setAutoRotate(false);
+
+        if (duration > 0) {
+            this.viewTransition = { from: currentView(this.camera, this.controls), to: target, start: performance.now(), duration };
+        } else {
+            this.viewTransition = null;
+            this.showView(target);
+            this.controls.update();
+        }
+        this.requestRender();
+    }
+
+    startView() {
+        return this.initialView ? this.fitViewSpec({ view: this.initialView }) : heroView(this.modelBounds, this.getAspect());
+    }
+
+    fitViewSpec(spec) {
+        const { direction, box, padding } = resolveViewSpec(spec, this.components, this.componentBoxes, this.modelBounds, this.viewPadding);
+        return fitView(box, direction, this.getAspect(), padding);
+    }
+
+    showView(view) {
+        applyView(this.camera, this.controls, view, this.getAspect(), this.viewDistance);
+    }
+
+    updateViewTransition() {
+        const { from, to, start, duration } = this.viewTransition;
+        const t = Math.min((performance.now() - start) / duration, 1);
+        this.showView(interpolateViews(from, to, EASINGS.easeInOutCubic(t)));
+        if (t >= 1) this.viewTransition = null;
+    }
+
+    getAspect() {
+        return this.container.clientWidth / Math.max(1, this.container.clientHeight);
+    }
+
+    scatterComponents(pattern = 'spiral') {
+        // Start transforms off screen; the same ones on every load with the seed option
+        scatterComponents(this, pattern, createRandom(this.seed));
+    }
+
+    updateAssemblyProgress(scrollProgress) {
+        // scrollProgress: 0 to 1; each component animates through its slot of the timeline.
+        // Work instructions hold earlier steps installed and later ones back
+        const instructions = this.workInstructions;
+        const positionOf = instructions.active ? (component, progress) => instructions.positionOf(component, progress) : null;
+        poseComponents(this, scrollProgress, positionOf);
+    }
+
+    play() {
+        if (this.components.length === 0 || this.workInstructions.active) return;
+
+        // Replaying from the end starts over
+        this.startAnimation(this.currentProgress >= 1 ? 0 : this.currentProgress);
+    }
+
+    pause() {
+        // Stops both the timed run and scroll scrubbing; play() resumes from here
+        const changed = this.isAnimating;
+        this.isAnimating = false;
+        this.isScrollScrubbing = false;
+        if (changed) this.notifyPlayback();
+    }
+
+    replay() {
+        // The whole run again from the scattered start
+        if (this.components.length === 0 || this.workInstructions.active) return;
+        this.startAnimation(0);
+    }
+
+    disassemble() {
+        // The run in reverse from the current point, back to the scatter
+        if (this.components.length === 0 || this.workInstructions.active || this.currentProgress <= 0) return;
+        this.startAnimation(this.currentProgress, -1);
+    }
+
+    setPlaybackRate(rate) {
+        // Carry on from the current point at the new speed
+        if (!(rate > 0)) return;
+        if (this.isAnimating) {
+            this.runStart = this.getRunPosition();
+            this.startTime = performance.now();
+        }
+        this.playbackRate = rate;
+        this.notifyPlayback();
+    }
+
+    setAutoRotate(enabled) {
+        if (this.controls.autoRotate === enabled) return;
+        this.controls.autoRotate = enabled;
+        this.requestRender();
+        this.notifyPlayback();
+    }
+
+    runTimeline(from, to, duration, onDone = null) {
+        // Play the timeline from one point to another (a work-instruction step);
+        // reduced motion jumps straight to `to`
+        this.pause();
+        if (this.prefersReducedMotion() || duration <= 0) {
+            this.stepRun = null;
+            this.applyProgress(to);
+            if (onDone) onDone();
+        } else {
+            this.stepRun = { from, to, start: performance.now(), duration: duration / this.playbackRate, onDone };
+        }
+        this.requestRender();
+    }
+
+    updateStepRun() {
+        const { from, to, start, duration, onDone } = this.stepRun;
+        const t = Math.min((performance.now() - start) / duration, 1);
+        this.applyProgress(THREE.MathUtils.lerp(from, to, t));
+        if (t >= 1) {
+            this.stepRun = null;
+            if (onDone) onDone();
+        }
+    }
+
+    notifyPlayback() {
+        this.dispatchEvent({ type: 'playbackchange' });
+    }
+
+    seek(progress) {
+        if (!this.supported) return;
+
+        // Scroll scrubbing stays on: the seek holds until the page scrolls again,
+        // then the scroll position takes over (eased, like any scroll)
+        const scrolling = this.isScrollScrubbing;
+        this.pause();
+        this.isScrollScrubbing = scrolling;
+        this.targetProgress = THREE.MathUtils.clamp(progress, 0, 1);
+        this.applyProgress(this.targetProgress);
+        this.setInteractive(this.currentProgress >= 1);
+
+        // Reaching the end by hand unlocks orbiting like a finished run
+        if (this.currentProgress >= 1 && !this.controls.enableRotate) {
+            this.controls.enableRotate = true;
+            this.notifyPlayback();
+        }
+    }
+
+    reset() {
+        // Back to the scattered start, ready for play()
+        if (!this.supported) return;
+        this.seek(0);
+        this.setAutoRotate(false);
+    }
+
+    applyProgress(progress) {
+        const previous = this.currentProgress;
+        this.currentProgress = progress;
+        this.updateAssemblyProgress(progress);
+        this.requestRender();
+
+        // Keyframes drive the camera along the timeline unless a preset move is running
+        if (this.cameraKeyframes.length > 0 && !this.viewTransition) {
+            this.showView(keyframeViewAt(this.cameraKeyframes, progress, this.getAspect()));
+        }
+        this.dispatchEvent({ type: 'timeupdate', progress });
+
+        // The step is the latest one to have started at this point of the timeline
+        let step = null;
+        this.steps.forEach((candidate) => {
+            if (candidate.start <= progress) step = candidate;
+        });
+        if (step !== this.currentStep) {
+            this.currentStep = step;
+            if (step) this.dispatchEvent({ type: 'step', step: step.name, start: step.start, end: step.end });
+        }
+
+        if (progress >= 1 && previous < 1) {
+            this.dispatchEvent({ type: 'complete' });
+        }
+    }
+
+    setupAccessibility() {
+        // The canvas is one focusable image: described for screen readers, driven from the keyboard
+        const canvas = this.renderer.domElement;
+        canvas.tabIndex = 0;
+        canvas.setAttribute('role', 'img');
+        canvas.setAttribute('aria-label', this.description);
+
+        this.hintElement = document.createElement('p');
+        this.hintElement.className = 'visually-hidden';
+        this.hintElement.id = `viewer-keyboard-hint-${++viewerCount}`;
+        this.hintElement.textContent = KEYBOARD_HINT;
+        this.container.appendChild(this.hintElement);
+        canvas.setAttribute('aria-describedby', this.hintElement.id);
+
+        canvas.addEventListener('keydown', this.onKeyDown);
+    }
+
+    onKeyDown(event) {
+        if (event.altKey || event.ctrlKey || event.metaKey) return;
+
+        if (this.workInstructions.active) {
+            // Steps first; the arrows still orbit
+            const stepKeys = {
+                ' ': () => this.workInstructions.next(),
+                PageDown: () => this.workInstructions.next(),
+                PageUp: () => this.workInstructions.previous(),
+                Escape: () => this.workInstructions.stop()
+            };
+            if (stepKeys[event.key]) {
+                stepKeys[event.key]();
+                event.preventDefault();
+                return;
+            }
+        }
+
+        switch (event.key) {
+            case 'ArrowLeft': this.orbitBy(KEYBOARD_ORBIT_STEP, 0); break;
+            case 'ArrowRight': this.orbitBy(-KEYBOARD_ORBIT_STEP, 0); break;
+            case 'ArrowUp': this.orbitBy(0, KEYBOARD_ORBIT_STEP); break;
+            case 'ArrowDown': this.orbitBy(0, -KEYBOARD_ORBIT_STEP); break;
+            case 'Home': this.setView(this.initialView); break;
+            case ' ': this.togglePlayback(); break;
+            default: return;
+        }
+        event.preventDefault(); // Keep the page from scrolling
+    }
+
+    orbitBy(left, up) {
+        // The keyboard version of dragging, allowed at the same times
+        if (!this.controls.enableRotate) return;
+        this.setAutoRotate(false);
+        this.viewTransition = null;
+
+        const target = this.controls.target;
+        const offset = this.camera.position.clone().sub(target);
+        const spherical = new THREE.Spherical().setFromVector3(offset);
+        spherical.theta -= left;
+        spherical.phi = THREE.MathUtils.clamp(spherical.phi - up, 0.01, Math.PI - 0.01);
+
+        this.camera.position.copy(target).add(offset.setFromSpherical(spherical));
+        this.camera.lookAt(target);
+        this.requestRender();
+    }
+
+    togglePlayback() {
+        if (this.isAnimating) {
+            this.pause();
+        } else {
+            this.play();
+        }
+    }
+
+    prefersReducedMotion() {
+        if (this.reducedMotion !== 'auto') return Boolean(this.reducedMotion);
+        return typeof window.matchMedia === 'function' && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+    }
+
+    showAssembled() {
+        // Reduced motion: no fly-in, the finished panel fades in and holds still
+        this.seek(1);
+        this.renderer.domElement.animate([{ opacity: 0 }, { opacity: 1 }], { duration: 600, easing: 'ease-out' });
+    }
+
+    showFallback(message) {
+        // The static drawing, if there is one, stands in for the canvas; the message covers the rest
+        this.loadingElement.style.display = '';
+        this.loadingElement.textContent = message;
+        if (!this.fallbackImage || this.fallbackElement) return;
+
+        const image = document.createElement('img');
+        image.className = 'viewer-fallback';
+        image.alt = this.description;
+        image.addEventListener('load', () => {
+            this.loadingElement.style.display = 'none';
+        });
+        image.addEventListener('error', () => this.hideFallback());
+        image.src = this.fallbackImage;
+
+        this.container.appendChild(image);
+        this.fallbackElement = image;
+        if (this.renderer) this.renderer.domElement.hidden = true;
+    }
+
+    hideFallback() {
+        if (!this.fallbackElement) return;
+        this.fallbackElement.remove();
+        this.fallbackElement = null;
+        if (this.renderer) this.renderer.domElement.hidden = false;
+    }
+
+    setupUI() {
+        // Viewer tools sit beside the animation container so they take pointer events
+        this.toolsElement = document.createElement('div');
+        this.toolsElement.className = 'viewer-tools';
+        this.toolsElement.hidden = true;
+        this.toolsElement.innerHTML = `
+            <label class="explode-control">
+                <span>Explode</span>
+                <input type="range" min="0" max="1" step="0.01" value="0">
+            </label>
+            <label class="leader-control">
+                <input type="checkbox">
+                <span>Leader lines</span>
+            </label>
+            <label class="hidden-lines-control">
+                <input type="checkbox">
+                <span>Hidden lines</span>
+            </label>
+            <div class="measure-control">
+                <label class="dimensions-control">
+                    <input type="checkbox">
+                    <span>Dimensions</span>
+                </label>
+                <button type="button" data-action="measure" aria-pressed="false">Measure</button>
+                <select class="unit-select" aria-label="Units">
+                    ${DISPLAY_UNITS.map((units) => `<option value="${units}">${units}</option>`).join('')}
+                </select>
+            </div>
+            <div class="view-control">
+                <button type="button" data-view="front">Front</button>
+                <button type="button" data-view="top">Top</button>
+                <button type="button" data-view="right">Right</button>
+                <button type="button" data-view="iso">Iso</button>
+                <button type="button" data-view="interior">Interior</button>
+            </div>
+            <div class="export-control">
+                <button type="button" data-format="svg">Export SVG</button>
+                <button type="button" data-format="pdf">Export PDF</button>
+            </div>
+        `;
+        this.overlayElement.appendChild(this.toolsElement);
+
+        this.explodeInput = this.toolsElement.querySelector('.explode-control input');
+        this.explodeInput.addEventListener('input', () => this.setExplodeFactor(parseFloat(this.explodeInput.value)));
+
+        const leaderInput = this.toolsElement.querySelector('.leader-control input');
+        leaderInput.addEventListener('change', () => this.setLeaderLinesVisible(leaderInput.checked));
+
+        const hiddenInput = this.toolsElement.querySelector('.hidden-lines-control input');
+        hiddenInput.checked = this.lineStyle.hiddenLines;
+        hiddenInput.addEventListener('change', () => this.setLineStyle({ hiddenLines: hiddenInput.checked }));
+
+        this.toolsElement.insertBefore(this.sections.createControls(), this.toolsElement.querySelector('.view-control'));
+        this.toolsElement.insertBefore(this.bom.createControls(), this.toolsElement.querySelector('.export-control'));
+        this.toolsElement.insertBefore(this.revisionDiff.createControls(), this.toolsElement.querySelector('.export-control'));
+
+        this.dimensionsInput = this.toolsElement.querySelector('.dimensions-control input');
+        this.dimensionsInput.checked = this.showDimensions;
+        this.dimensionsInput.addEventListener('change', () => this.setDimensionsVisible(this.dimensionsInput.checked));
+
+        this.measureButton = this.toolsElement.querySelector('[data-action="measure"]');
+        this.measureButton.addEventListener('click', () => this.setMeasuring(!this.measureTool.active));
+
+        this.unitSelect = this.toolsElement.querySelector('.unit-select');
+        this.unitSelect.value = this.units;
+        this.unitSelect.addEventListener('change', () => this.setUnits(this.unitSelect.value));
+
+        this.toolsElement.querySelectorAll('[data-view]').forEach((button) => {
+            button.addEventListener('click', () => this.setView(button.dataset.view));
+        });
+
+        this.toolsElement.querySelectorAll('[data-format]').forEach((button) => {
+            button.addEventListener('click', () => this.downloadDrawing(button.dataset.format));
+        });
+    }
+
+    setInteractive(enabled) {
+        // Picking, measuring, dimensions and the exploded view only make sense on the assembled panel
+        this.picker.setEnabled(enabled);
+        if (this.toolsElement) this.toolsElement.hidden = !enabled;
+        this.dimensions.setVisible(this.showDimensions && enabled);
+        if (!enabled && this.measureTool.active) this.setMeasuring(false);
+
+        if (!enabled && this.explodeFactor > 0) {
+            // Playback takes over the transforms; start the next explode from assembled
+            this.explodeFactor = 0;
+            this.explodeInput.value = '0';
+            this.updateLeaderLines();
+        }
+    }
+
+    setExplodeFactor(factor) {
+        this.explodeFactor = THREE.MathUtils.clamp(factor, 0, 1);
+        if (this.explodeInput) this.explodeInput.value = String(this.explodeFactor);
+
+        // Re-apply the current timeline position with the new exploded targets
+        if (!this.isAnimating) this.updateAssemblyProgress(this.currentProgress);
+        this.updateLeaderLines();
+        this.requestRender();
+    }
+
+    setDimensionsVisible(visible) {
+        this.showDimensions = visible;
+        if (this.dimensionsInput) this.dimensionsInput.checked = visible;
+        this.dimensions.setVisible(visible && this.picker.enabled);
+        this.requestRender();
+    }
+
+    setMeasuring(active) {
+        // Only on the assembled panel, like picking
+        this.measureTool.setActive(active && this.picker.enabled);
+        if (this.measureButton) this.measureButton.setAttribute('aria-pressed', String(this.measureTool.active));
+        this.requestRender();
+    }
+
+    async loadWires(source) {
+        // Replace the netlist; routed straight away when a model is loaded, else with the next one
+        this.wiresSource = source || null;
+        this.netlist = source ? await loadNetlist(source) : null;
+        if (!this.disposed) this.wiring.build(this.netlist);
+    }
+
+    setUnits(units) {
+        this.units = DISPLAY_UNITS.includes(units) ? units : 'mm';
+        if (this.unitSelect) this.unitSelect.value = this.units;
+        this.revisionDiff.render(); // Move distances
+        this.requestRender();
+    }
+
+    updateTheme() {
+        // Re-read the CSS colours; restyle only if something changed
+        const categories = this.componentGroups.map((entry) => entry.category).filter(Boolean);
+        const theme = resolveTheme(this.container, this.themeOverrides, categories);
+        if (sameTheme(theme, this.theme)) return;
+
+        this.theme = theme;
+        this.renderer.setClearColor(theme.background, 1);
+        if (this.partBatches) this.partBatches.setBackground(theme.background);
+        if (this.leaderLines) this.leaderLines.material.color.setHex(theme.edge);
+        this.annotationLayer.setTheme(theme);
+        this.sections.setTheme(theme);
+        this.wiring.setTheme(theme);
+        this.revisionDiff.setTheme(theme);
+
+        // Hovered and selected parts keep their highlight
+        this.componentGroups.forEach((entry) => {
+            const color = entry.change ? changeColor(theme, entry.change.type) : categoryColor(theme, entry.category);
+            entry.parts.forEach((part) => {
+                part.baseColor = color;
+            });
+            this.picker.applyEdgeColor(entry);
+        });
+        if (this.workInstructions.active) this.workInstructions.applyStyle();
+        this.requestRender();
+    }
+
+    setLineStyle(style) {
+        // Uniform-only changes; no geometry is rebuilt
+        this.lineStyle = { ...this.lineStyle, ...style };
+        if (this.partBatches) this.partBatches.setStyle(this.lineStyle);
+        this.wiring.setStyle(this.lineStyle);
+        this.requestRender();
+    }
+
+    setLeaderLinesVisible(visible) {
+        this.showLeaderLines = visible;
+        this.updateLeaderLines();
+        this.requestRender();
+    }
+
+    exportDrawing(format = 'svg', options = {}) {
+        // Hidden-line drawing of the current view; SVG markup or PDF bytes
+        if (!this.supported) return null;
+        this.controls.update();
+        this.scene.updateMatrixWorld(true);
+
+        // Drawings always use full detail; the next frame picks levels again
+        if (this.partBatches) {
+            this.partBatches.update();
+            this.partBatches.batches.forEach((batch) => setLevel(batch, 0));
+        }
+
+        const style = this.lineStyle;
+        const layers = this.componentGroups.map(({ group, parts }) => {
+            const part = parts[0];
+            // Hidden lines follow the screen: on in the style and not ghosted
+            const showHidden = style.hiddenLines && parts.length > 0 && part.showHiddenLines;
+            return {
+                name: group.userData.name || group.name || 'Part',
+                color: part ? part.baseColor : this.theme.edge,
+                opacity: part ? part.opacity : 1,
+                lines: parts,
+                hidden: showHidden
+                    ? { width: style.hiddenWidth, opacity: style.hiddenOpacity, dash: [style.dashSize, style.gapSize] }
+                    : null
+            };
+        });
+        if (this.leaderLines && this.leaderLines.visible) {
+            layers.push({ name: 'Leader lines', color: this.theme.edge, opacity: 1, lines: [this.leaderLines], hidden: null });
+        }
+        layers.push(...this.wiring.exportLayers(style));
+
+        // Section planes cut the exported edges too; the caps stay out of the depth pass and its bounds
+        let drawing;
+        this.scene.remove(this.sections.root);
+        try {
+            drawing = projectVisibleEdges(this.renderer, this.scene, this.camera, layers, {
+                ...options,
+                clippingPlanes: this.sections.activePlanes()
+            });
+        } finally {
+            this.scene.add(this.sections.root);
+        }
+        const exportOptions = { background: this.theme.background, ...options };
+        return format === 'pdf' ? buildPDF(drawing, exportOptions) : buildSVG(drawing, exportOptions);
+    }
+
+    downloadDrawing(format = 'svg', filename) {
+        // enclosure4.glb -> enclosure4.svg
+        const base = this.modelUrl ? this.modelUrl.split(/[?#]/)[0].split('/').pop().replace(/\.[^.]+$/, '') : 'assembly';
+        const name = filename || `${base || 'assembly'}.${format}`;
+        const type = format === 'pdf' ? 'application/pdf' : 'image/svg+xml';
+        if (this.supported) downloadFile(this.exportDrawing(format), name, type);
+    }
+
+    createLeaderLines() {
+        // One segment per displaced component, from installed position to exploded position
+        const positions = new Float32Array(this.components.length * 6);
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+
+        const material = new THREE.LineDashedMaterial({
+            color: this.theme.edge,
+            dashSize: 1,
+            gapSize: 1
+        });
+
+        this.leaderLines = new THREE.LineSegments(geometry, material);
+        this.leaderLines.visible = false;
+        this.leaderLines.frustumCulled = false;
+        this.scene.add(this.leaderLines);
+    }
+
+    updateLeaderLines() {
+        if (!this.leaderLines) return;
+
+        this.leaderLines.visible = this.showLeaderLines && this.explodeFactor > 0;
+        if (!this.leaderLines.visible) return;
+
+        const positions = this.leaderLines.geometry.attributes.position;
+        const start = new THREE.Vector3();
+        const end = new THREE.Vector3();
+
+        this.components.forEach((component, index) => {
+            const box = this.componentBoxes.get(component);
+            const offset = this.explodeOffsets.get(component);
+            box.getCenter(start);
+            end.copy(start);
+            if (offset) end.addScaledVector(offset, this.explodeFactor);
+
+            positions.setXYZ(index * 2, start.x, start.y, start.z);
+            positions.setXYZ(index * 2 + 1, end.x, end.y, end.z);
+        });
+        positions.needsUpdate = true;
+
+        // Dash length scales with the model so the pattern reads at any size
+        const size = this.modelBounds.getSize(new THREE.Vector3());
+        const dash = Math.max(size.x, size.y, size.z) * 0.01;
+        this.leaderLines.material.dashSize = dash;
+        this.leaderLines.material.gapSize = dash;
+        this.leaderLines.computeLineDistances();
+    }
+
+    startPlayback() {
+        if (this.prefersReducedMotion()) {
+            this.showAssembled();
+        } else if (this.playbackMode === 'scroll') {
+            this.enableScrollScrub(0, false);
+        } else {
+            this.startAnimation();
+        }
+    }
+
+    startAnimation(fromProgress = 0, direction = 1) {
+        this.setInteractive(false);
+        this.isScrollScrubbing = false;
+        this.isAnimating = true;
+        this.animationDuration = this.duration;
+        this.playbackDirection = direction;
+
+        // Resume mid-way by inverting the ease-out curve used in animate()
+        this.runStart = runPosition(fromProgress);
+        this.startTime = performance.now();
+        this.requestRender();
+        this.notifyPlayback();
+    }
+
+    getRunPosition() {
+        // Timed run position (0-1, before easing), moving at playbackRate in playbackDirection
+        const elapsed = (performance.now() - this.startTime) * this.playbackRate;
+        return THREE.MathUtils.clamp(this.runStart + this.playbackDirection * elapsed / this.animationDuration, 0, 1);
+    }
+
+    onAnimationComplete() {
+        // Keyframed cameras hold their last view instead of spinning; so does reduced motion
+        this.controls.enableRotate = true; // Allow user interaction
+        this.setAutoRotate(this.cameraKeyframes.length === 0 && !this.prefersReducedMotion());
+        this.requestRender();
+        this.setInteractive(true);
+        this.notifyPlayback();
+
+        // Hand off to scroll: scrolling down from here takes the panel apart,
+        // scrolling back up rebuilds it
+        if (this.playbackMode === 'autoplay-then-scroll' && !this.prefersReducedMotion()) {
+            this.enableScrollScrub(this.getHeroScrollFraction(), true);
+        }
+    }
+
+    enableScrollScrub(anchor, reversed) {
+        // Anchor the scroll mapping at the current position so the handoff never jumps
+        this.scrollAnchor = anchor;
+        this.scrollReversed = reversed;
+        this.targetProgress = this.getScrollProgress();
+        this.isScrollScrubbing = true;
+        this.requestRender();
+    }
+
+    getHeroScrollFraction() {
+        const hero = this.scrollElement;
+
+        // 0 when the hero top is at the viewport top, 1 after scrollRange of its height has scrolled past
+        const rect = hero.getBoundingClientRect();
+        const range = Math.max(1, rect.height * this.scrollRange);
+        return THREE.MathUtils.clamp(-rect.top / range, 0, 1);
+    }
+
+    getScrollProgress() {
+        const fraction = this.getHeroScrollFraction();
+
+        if (!this.scrollReversed) {
+            return THREE.MathUtils.clamp((fraction - this.scrollAnchor) / (1 - this.scrollAnchor), 0, 1);
+        }
+
+        // Reversed after auto-play: fully assembled at (or above) the anchor
+        if (this.scrollAnchor >= 1) return 1;
+        return 1 - THREE.MathUtils.clamp((fraction - this.scrollAnchor) / (1 - this.scrollAnchor), 0, 1);
+    }
+
+    onScroll() {
+        if (!this.isScrollScrubbing) return;
+        this.targetProgress = this.getScrollProgress();
+        this.requestRender();
+    }
+
+    onWindowResize() {
+        const width = this.container.clientWidth;
+        const height = this.container.clientHeight;
+        if (width === 0 || height === 0) return;
+        // Use actual container aspect ratio to prevent squishing
+        const aspect = width / height;
+
+        if (this.camera.isPerspectiveCamera) {
+            this.camera.aspect = aspect;
+        } else {
+            const frustumSize = (this.camera.top - this.camera.bottom) / this.camera.zoom; // Preserve current scale
+
+            this.camera.left = -frustumSize * aspect / 2;
+            this.camera.right = frustumSize * aspect / 2;
+            this.camera.top = frustumSize / 2;
+            this.camera.bottom = -frustumSize / 2;
+        }
+
+        this.camera.updateProjectionMatrix();
+        this.renderer.setSize(width, height);
+        this.requestRender();
+    }
+
+    requestRender() {
+        // Draw the next frame; call after anything on screen changes
+        this.needsRender = true;
+        this.scheduleFrame();
+    }
+
+    scheduleFrame() {
+        if (this.frameId !== null || this.disposed || !this.isVisible) return;
+        this.frameId = requestAnimationFrame((time) => {
+            this.frameId = null;
+            this.animate(time);
+        });
+    }
+
+    onVisibilityChange() {
+        const visible = this.onScreen && !document.hidden;
+        if (visible === this.isVisible) return;
+        this.isVisible = visible;
+
+        if (!visible) {
+            cancelAnimationFrame(this.frameId);
+            this.frameId = null;
+            this.suspendedAt = performance.now();
+            return;
+        }
+
+        // A timed run carries on from where it was, not from where the clock got to
+        if (this.isAnimating) this.startTime += performance.now() - this.suspendedAt;
+        if (this.stepRun) this.stepRun.start += performance.now() - this.suspendedAt;
+        this.clock.getDelta();
+        this.requestRender();
+    }
+
+    applyQuality({ pixelRatio, pixelErrorScale, autoRotateSpeed }) {
+        this.renderer.setPixelRatio(pixelRatio);
+        this.pixelErrorScale = pixelErrorScale;
+        this.controls.autoRotateSpeed = this.autoRotateSpeed * autoRotateSpeed;
+        this.requestRender();
+    }
+
+    animate(time) {
+        if (this.disposed) return;
+
+        // Clamp so a backgrounded tab doesn't cause a jump when it returns
+        const delta = Math.min(this.clock.getDelta(), 0.1);
+
+        // Handle assembly animation
+        const animating = this.isAnimating;
+        if (this.isAnimating) {
+            const position = this.getRunPosition();
+
+            // Use an ease-out curve for the whole assembly
+            this.applyProgress(runProgress(position));
+
+            if (this.playbackDirection > 0 && position >= 1) {
+                this.isAnimating = false;
+                this.onAnimationComplete();
+            } else if (this.playbackDirection < 0 && position <= 0) {
+                // Disassembled: the scatter holds until the next play()
+                this.isAnimating = false;
+                this.notifyPlayback();
+            }
+        } else if (this.isScrollScrubbing && this.currentProgress !== this.targetProgress) {
+            // Ease toward the scroll position for inertia instead of snapping
+            let next = THREE.MathUtils.damp(this.currentProgress, this.targetProgress, this.scrollSmoothing, delta);
+            if (Math.abs(next - this.targetProgress) < 0.0005) next = this.targetProgress;
+
+            this.applyProgress(next);
+
+            // Parts can only be picked or exploded while the panel is fully assembled
+            this.setInteractive(next >= 1);
+
+            // First full assembly in scroll mode unlocks rotation (and auto-rotate without keyframes)
+            if (next >= 1 && !this.controls.enableRotate) {
+                this.controls.enableRotate = true;
+                this.setAutoRotate(this.cameraKeyframes.length === 0 && !this.prefersReducedMotion());
+                this.notifyPlayback();
+            }
+        }
+
+        const stepping = this.stepRun !== null;
+        if (stepping) this.updateStepRun();
+
+        const transitioning = this.viewTransition !== null;
+        if (transitioning) this.updateViewTransition();
+
+        // Wires draw in once the timeline reaches the assembled panel
+        const wiring = this.wiring.update();
+
+        // Moved parts travel between revisions in compare mode
+        const comparing = this.revisionDiff.update();
+
+        // Smoothly update controls if damping is enabled; true while the camera still moves
+        const cameraMoving = this.controls.update();
+
+        // Keep going while anything moves; otherwise this is the last frame until requestRender()
+        const active = animating || stepping || transitioning || cameraMoving || wiring || comparing
+            || (this.isScrollScrubbing && this.currentProgress !== this.targetProgress);
+        if (!active && !this.needsRender) return;
+        this.needsRender = false;
+
+        if (this.partBatches) {
+            // Batches draw from the component groups' current world matrices
+            this.scene.updateMatrixWorld();
+            this.partBatches.update();
+
+            // Fat-line widths and dashes are in pixels
+            updateLineResolution(this.partBatches.materials, this.renderer, this.camera, this.controls.target);
+            if (this.lod.enabled) {
+                const pixelError = this.lod.pixelError * this.pixelErrorScale;
+                updateLevels(this.partBatches.batches, this.camera, this.renderer.getSize(new THREE.Vector2()).y, pixelError);
+            }
+        }
+        this.sections.update();
+
+        this.renderer.render(this.scene, this.camera);
+
+        // Overlays follow the frame just drawn
+        this.dimensions.update();
+        this.measureTool.update();
+        this.wiring.updateLabel();
+
+        // Only continuous rendering says anything about the frame rate
+        if (active) {
+            this.quality.frame(time);
+            this.scheduleFrame();
+        } else {
+            this.quality.idle();
+        }
+    }
+
+    dispose() {
+        // Free GPU resources and listeners; the instance can't be used afterwards
+        this.disposed = true;
+        this.loadToken++;
+        this.hideFallback();
+        if (this.ownsLoadingElement) {
+            this.loadingElement.remove();
+        } else {
+            this.loadingElement.style.display = 'none'; // The page's own, left hidden
+        }
+        if (!this.supported) return; // Nothing else was set up
+        cancelAnimationFrame(this.frameId);
+
+        window.removeEventListener('resize', this.onWindowResize);
+        window.removeEventListener('scroll', this.onScroll);
+        document.removeEventListener('visibilitychange', this.onVisibilityChange);
+        if (this.resizeObserver) this.resizeObserver.disconnect();
+        if (this.intersectionObserver) this.intersectionObserver.disconnect();
+        this.themeWatcher.dispose();
+
+        this.clearModel();
+        this.picker.dispose();
+        this.bom.dispose();
+        this.revisionDiff.dispose();
+        this.measureTool.dispose();
+        this.sections.dispose();
+        this.wiring.dispose();
+        this.annotationLayer.dispose();
+        this.controls.dispose();
+        if (this.dracoLoader) this.dracoLoader.dispose();
+        if (this.geometryPool) this.geometryPool.dispose();
+        if (this.toolsElement) this.toolsElement.remove();
+        if (this.playbackControls) this.playbackControls.dispose();
+        this.workInstructions.dispose();
+
+        this.renderer.dispose();
+        this.renderer.forceContextLoss(); // Browsers cap live WebGL contexts per page
+        this.renderer.domElement.removeEventListener('keydown', this.onKeyDown);
+        this.renderer.domElement.remove();
+        this.hintElement.remove();
+    }
+}
+
@@ -0,0 +1,272 @@
+import * as THREE from 'three';
+
+// Assembly core
+//
+// The geometry of the fly-in, apart from the DOM and the renderer: component
+// groups laid out from the detected components (see components.js), where each
+// one is scattered, and where it sits at any point of the 0-1 timeline. Nothing
+// here touches document, window or WebGL, so it runs headless under Node with
+// three installed:
+//
+//   const state = createAssemblyState();
+//   layoutComponents(state, detectComponents(gltf.scene));
+//   state.componentTimings = resolveSequence(state.components, sequence, state.componentSizes);
+//   scatterComponents(state, 'explosion', createRandom(42));
+//   poseComponents(state, 0.5);
+//
+// AssemblyAnimation carries the same state fields and calls the same functions.
+// Scatter rotations and explosion directions come from `random`: Math.random by
+// default, or createRandom(seed) (the `seed` option) for the same intro on
+// every load.
+
+const MIN_SCALE = 0.01; // Scattered parts shrink to this, so they grow in as they arrive
+
+// Fresh state for the functions below
+export function createAssemblyState() {
+    return {
+        components: [], // Component groups, largest first
+        originalPositions: new Map(), // Assembled transforms, relative to the model centre
+        originalRotations: new Map(),
+        originalScales: new Map(),
+        scatteredPositions: new Map(), // Where each component starts
+        scatteredRotations: new Map(),
+        scatteredScales: new Map(),
+        componentSizes: new Map(), // Bounding-box diagonals
+        componentBoxes: new Map(), // Bounds per component, in centred model space
+        componentTimings: new Map(), // Timeline windows (see resolveSequence)
+        explodeOffsets: new Map(), // Displacement at explode factor 1 (see explode.js)
+        explodeFactor: 0,
+        modelBounds: new THREE.Box3() // Centred on the origin
+    };
+}
+
+// Seeded random numbers in [0, 1) (mulberry32); integer or string seeds, and
+// Math.random without one
+export function createRandom(seed = null) {
+    if (seed === null || seed === undefined) return Math.random;
+
+    let value = typeof seed === 'number' ? seed >>> 0 : hashSeed(String(seed));
+    return () => {
+        value = (value + 0x6d2b79f5) >>> 0;
+        let t = value;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// FNV-1a
+function hashSeed(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+// Timed runs ease out over the whole assembly: 1 - (1-x)^3 from run position
+// (0-1, linear in time) to timeline progress, and back
+export function runProgress(position) {
+    return 1 - Math.pow(1 - position, 3);
+}
+
+export function runPosition(progress) {
+    return 1 - Math.cbrt(1 - progress);
+}
+
+// One group per detected component, placed at its node's world transform
+// relative to the model centre, with the assembled transforms, sizes and boxes
+// recorded in `state` and state.components sorted largest first.
+// addParts(group, component) fills each group (the viewer adds its instanced
+// parts); headless, the groups stay empty. Returns the groups in detection order.
+export function layoutComponents(state, detected, addParts = null) {
+    const { components, bounds } = detected;
+    const center = bounds.getCenter(new THREE.Vector3());
+    state.modelBounds.copy(bounds);
+
+    const groups = components.map((component) => {
+        const { node, box, size, mergedNames } = component;
+
+        const group = new THREE.Group();
+        group.name = node.name;
+        group.userData = { ...node.userData }; // Original glTF name and extras
+        if (mergedNames) group.userData.mergedParts = mergedNames;
+        if (addParts) addParts(group, component);
+
+        // Store original transform from the node (relative to model center)
+        const worldPos = new THREE.Vector3();
+        const worldQuat = new THREE.Quaternion();
+        const worldScale = new THREE.Vector3();
+
+        node.getWorldPosition(worldPos);
+        node.getWorldQuaternion(worldQuat);
+        node.getWorldScale(worldScale);
+
+        // Convert quaternion to euler
+        const worldRot = new THREE.Euler().setFromQuaternion(worldQuat);
+
+        // Center positions relative to model center
+        worldPos.sub(center);
+
+        group.position.copy(worldPos);
+        group.rotation.copy(worldRot);
+        group.scale.copy(worldScale);
+
+        // Store original transforms
+        state.originalPositions.set(group, group.position.clone());
+        state.originalRotations.set(group, group.rotation.clone());
+        state.originalScales.set(group, group.scale.clone());
+
+        state.components.push(group);
+        state.componentSizes.set(group, size);
+        state.componentBoxes.set(group, box.clone().translate(center.clone().negate()));
+        return group;
+    });
+
+    // Update bounds to be centered at origin
+    state.modelBounds.translate(center.clone().multiplyScalar(-1));
+
+    // Sort components by size (Largest to Smallest), using the bounding-box
+    // diagonals detectComponents already measured
+    state.components.sort((a, b) => state.componentSizes.get(b) - state.componentSizes.get(a));
+    return groups;
+}
+
+// Scattered start transforms for every component, applied and recorded in `state`
+export function scatterComponents(state, pattern = 'spiral', random = Math.random) {
+    const { components } = state;
+    const size = state.modelBounds.getSize(new THREE.Vector3());
+    const maxDim = Math.max(size.x, size.y, size.z);
+    const scatterRadius = maxDim * 10; // Increased to ensure off-screen
+
+    const keep = (component, position) => {
+        component.position.copy(position);
+        state.scatteredPositions.set(component, position);
+        state.scatteredRotations.set(component, state.originalRotations.get(component).clone());
+        state.scatteredScales.set(component, state.originalScales.get(component).clone());
+    };
+
+    components.forEach((component, index) => {
+        const timing = state.componentTimings.get(component);
+
+        // Sequence steps with an approach direction slide in along it,
+        // keeping their orientation and scale
+        if (timing && timing.direction) {
+            keep(component, state.originalPositions.get(component).clone()
+                .addScaledVector(timing.direction, maxDim * timing.distance));
+            return;
+        }
+
+        // Keep the largest component (index 0) in place unless the sequence moves it,
+        // and anything the sequence pins with direction "none"
+        const pinned = timing && timing.fromSequence && timing.direction === null;
+        if (pinned || (index === 0 && !(timing && timing.fromSequence))) {
+            keep(component, state.originalPositions.get(component).clone());
+            return;
+        }
+
+        const t = index / components.length;
+        let x, y, z;
+
+        switch (pattern) {
+            case 'spiral':
+                const angle = t * Math.PI * 4;
+                const radius = scatterRadius * (0.3 + t * 0.7);
+                x = Math.cos(angle) * radius;
+                y = (t - 0.5) * scatterRadius * 1.5;
+                z = Math.sin(angle) * radius;
+                break;
+            case 'sphere':
+                const phi = Math.acos(2 * t - 1);
+                const theta = Math.PI * 2 * index * 0.618; // Golden angle
+                x = scatterRadius * Math.sin(phi) * Math.cos(theta);
+                y = scatterRadius * Math.sin(phi) * Math.sin(theta);
+                z = scatterRadius * Math.cos(phi);
+                break;
+            case 'explosion':
+            default:
+                const dir = new THREE.Vector3(
+                    random() - 0.5,
+                    random() - 0.5,
+                    random() - 0.5
+                ).normalize();
+                const dist = scatterRadius * (0.5 + random() * 0.5);
+                x = dir.x * dist;
+                y = dir.y * dist;
+                z = dir.z * dist;
+        }
+
+        const scatterPos = new THREE.Vector3(x, y, z);
+        const scatterRot = new THREE.Euler(
+            random() * Math.PI * 2,
+            random() * Math.PI * 2,
+            random() * Math.PI * 2
+        );
+        const scatterScale = new THREE.Vector3(MIN_SCALE, MIN_SCALE, MIN_SCALE);
+
+        component.position.copy(scatterPos);
+        component.rotation.copy(scatterRot);
+        component.scale.copy(scatterScale);
+
+        // Store scattered transforms
+        state.scatteredPositions.set(component, scatterPos.clone());
+        state.scatteredRotations.set(component, scatterRot.clone());
+        state.scatteredScales.set(component, scatterScale.clone());
+    });
+}
+
+// Eased progress (0 scattered, 1 assembled) of the component at `index` when the
+// timeline is at `position`: within its sequence window if it has one,
+// otherwise an equal slot of the timeline
+export function componentProgress(timing, index, count, position) {
+    const slotStart = timing ? timing.start : index / count;
+    const slotEnd = timing ? timing.end : (index + 1) / count;
+
+    // Component progress: 0 when scroll is before slot, 1 when after slot
+    let progress = 0;
+    if (position >= slotEnd) {
+        progress = 1;
+    } else if (position >= slotStart) {
+        progress = (position - slotStart) / (slotEnd - slotStart);
+    }
+
+    // Smooth easing
+    if (progress === 0 || progress === 1) return progress;
+    return timing ? timing.easing(progress) : 1 - Math.pow(2, -10 * progress);
+}
+
+// Places every component for timeline `progress` (0 to 1), toward its exploded
+// position when state.explodeFactor is set. positionOf(component, progress)
+// can hold components at other points of the timeline (work instructions do).
+export function poseComponents(state, progress, positionOf = null) {
+    const { components } = state;
+    const startQuat = new THREE.Quaternion();
+    const endQuat = new THREE.Quaternion();
+
+    components.forEach((component, index) => {
+        const timing = state.componentTimings.get(component);
+        const position = positionOf ? positionOf(component, progress) : progress;
+        const eased = componentProgress(timing, index, components.length, position);
+
+        // Get start and end positions
+        const startPos = state.scatteredPositions.get(component) || new THREE.Vector3();
+        const targetPos = (state.originalPositions.get(component) || new THREE.Vector3()).clone();
+        const explodeOffset = state.explodeOffsets.get(component);
+        if (explodeOffset && state.explodeFactor > 0) targetPos.addScaledVector(explodeOffset, state.explodeFactor);
+        const startRot = state.scatteredRotations.get(component) || new THREE.Euler();
+        const targetRot = state.originalRotations.get(component) || new THREE.Euler();
+        const startScale = state.scatteredScales.get(component) || new THREE.Vector3(MIN_SCALE, MIN_SCALE, MIN_SCALE);
+        const targetScale = state.originalScales.get(component) || new THREE.Vector3(1, 1, 1);
+
+        // Animate position
+        component.position.lerpVectors(startPos, targetPos, eased);
+
+        // Animate rotation
+        startQuat.setFromEuler(startRot);
+        endQuat.setFromEuler(targetRot);
+        component.quaternion.slerpQuaternions(startQuat, endQuat, eased);
+
+        // Animate scale
+        component.scale.lerpVectors(startScale, targetScale, eased);
+    });
+}
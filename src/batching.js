@@ -0,0 +1,366 @@
+import * as THREE from 'three';
+import { LineSegments2 } from 'three/addons/lines/LineSegments2.js';
+import { LineSegmentsGeometry } from 'three/addons/lines/LineSegmentsGeometry.js';
+import { PART_TEXELS, PARTS_PER_ROW, createEdgeMaterials, applyLineStyle, floatPositions } from './line-styles.js';
+
+// Instanced drawing of repeated parts
+//
+// Panels repeat the same parts over and over (terminal blocks, end stops,
+// screws), so meshes are drawn per unique geometry rather than per copy:
+//
+// - one InstancedMesh occluder per geometry, all sharing one material
+// - one LineSegments2 for its edges and one for hidden lines, whose edge
+//   attributes advance once per copy so a single draw covers every copy
+// - one visible and one hidden-line material for every batch
+//
+// Component groups hold a PartInstance per mesh in place of real meshes, so
+// animation, explode and isolate still move and hide plain Object3Ds. Each frame
+// update() copies their world matrices, colours and visibility into the
+// occluders' instance matrices and a float texture the line shader reads.
+//
+// The texture lookup needs WebGL 2. On WebGL 1 the same part state is a
+// per-instance attribute instead, advancing once per edge count: instance i
+// draws edge i % edges of copy i / edges, so each copy's edges are stored once
+// per copy rather than shared.
+//
+// Meshes with identical vertex data are pointed at one geometry first
+// (shareIdenticalGeometry), which catches exporters that write every copy of a
+// part as its own mesh.
+
+const HIDDEN_MATRIX = new THREE.Matrix4().makeScale(0, 0, 0);
+
+// Stand-in for one mesh inside its component group. Vector export reads it like
+// an edge line: full-detail edges, the shared edge material and its world matrix.
+export class PartInstance extends THREE.Object3D {
+    constructor(batch, color) {
+        super();
+
+        this.isPartInstance = true;
+        this.type = 'PartInstance';
+
+        this.batch = batch;
+        this.baseColor = color;
+        this.color = new THREE.Color(color);
+        this.opacity = 1;
+        this.occludes = true; // Hides what is behind it
+        this.showHiddenLines = true;
+
+        // Refreshed by PartBatches.update()
+        this.shown = true;
+        this.unitScale = 1; // Geometry units to world units
+    }
+
+    get geometry() {
+        return this.batch.levels[0].edges;
+    }
+
+    get material() {
+        return this.batch.owner.material;
+    }
+}
+
+// Every batch of a loaded model. add() every mesh, build() once, then update()
+// each frame before rendering.
+export class PartBatches {
+    // partTexture: read part state from a float texture (WebGL 2), else from attributes
+    constructor(style, background, partTexture = true) {
+        this.style = style;
+        this.usesTexture = partTexture;
+        this.batches = [];
+        this.batchesByLevels = new Map(); // prepared levels -> batch
+        this.parts = [];
+        this.root = new THREE.Group(); // Draw objects, added to the scene
+
+        this.occluderMaterial = new THREE.MeshBasicMaterial({
+            color: background, // Match the background so only lines show
+            side: THREE.DoubleSide,
+            polygonOffset: true,
+            polygonOffsetFactor: 1,
+            polygonOffsetUnits: 1
+        });
+        this.data = null; // PART_TEXELS * 4 floats per part, in batch order
+        this.texture = null;
+        this.material = null;
+        this.hiddenMaterial = null;
+    }
+
+    // A part drawn with `levels` (see buildLevels); copies of one geometry share them
+    add(levels, color) {
+        let batch = this.batchesByLevels.get(levels);
+        if (!batch) {
+            batch = new PartBatch(this, levels);
+            this.batchesByLevels.set(levels, batch);
+            this.batches.push(batch);
+        }
+
+        const part = new PartInstance(batch, color);
+        batch.parts.push(part);
+        return part;
+    }
+
+    build() {
+        // Parts are numbered batch by batch, so each batch is a run in the texture
+        this.batches.forEach((batch) => {
+            batch.offset = this.parts.length;
+            this.parts.push(...batch.parts);
+        });
+
+        if (this.usesTexture) {
+            const rows = Math.max(1, Math.ceil(this.parts.length / PARTS_PER_ROW));
+            this.data = new Float32Array(PARTS_PER_ROW * PART_TEXELS * rows * 4);
+            this.texture = new THREE.DataTexture(this.data, PARTS_PER_ROW * PART_TEXELS, rows, THREE.RGBAFormat, THREE.FloatType);
+        } else {
+            this.data = new Float32Array(this.parts.length * PART_TEXELS * 4);
+        }
+
+        ({ material: this.material, hiddenMaterial: this.hiddenMaterial } = createEdgeMaterials(this.style, this.texture));
+
+        this.batches.forEach((batch) => {
+            batch.build();
+            this.root.add(batch.occluder, batch.line, batch.hiddenLine);
+        });
+    }
+
+    get materials() {
+        return this.material ? [this.material, this.hiddenMaterial] : [];
+    }
+
+    setBackground(color) {
+        this.occluderMaterial.color.setHex(color);
+    }
+
+    setStyle(style) {
+        this.style = style;
+        if (this.material) applyLineStyle(this.material, this.hiddenMaterial, style);
+    }
+
+    // Copy part state into the texture and instance matrices; world matrices must be current
+    update() {
+        const data = this.data;
+        this.parts.forEach((part, i) => {
+            part.shown = isShown(part);
+            part.unitScale = Math.cbrt(Math.abs(part.matrixWorld.determinant())) || 1;
+
+            // Texels: matrix columns, colour and opacity, then flags
+            const offset = i * PART_TEXELS * 4;
+            data.set(part.matrixWorld.elements, offset);
+            data[offset + 16] = part.color.r;
+            data[offset + 17] = part.color.g;
+            data[offset + 18] = part.color.b;
+            data[offset + 19] = part.opacity;
+            data[offset + 20] = part.shown ? 1 : 0;
+            data[offset + 21] = part.shown && part.showHiddenLines ? 1 : 0;
+            data[offset + 22] = part.unitScale;
+        });
+        if (this.texture) this.texture.needsUpdate = true;
+
+        this.batches.forEach((batch) => batch.update());
+    }
+
+    dispose() {
+        this.batches.forEach((batch) => batch.dispose());
+        this.occluderMaterial.dispose();
+        this.materials.forEach((material) => material.dispose());
+        if (this.texture) this.texture.dispose();
+    }
+}
+
+// Every copy of one geometry
+class PartBatch {
+    constructor(owner, levels) {
+        this.owner = owner;
+        this.levels = levels; // [{ geometry, edges, error, triangles }], full detail first
+        this.parts = [];
+        this.offset = 0; // First part in the texture
+        this.level = 0;
+        this.edgeLevels = []; // Batched edges per level, built when first shown
+        this.partBuffers = []; // Per-instance part state of those levels, without the texture
+    }
+
+    build() {
+        const owner = this.owner;
+
+        this.occluder = new THREE.InstancedMesh(this.levels[0].geometry, owner.occluderMaterial, this.parts.length);
+        this.line = new LineSegments2(this.edgeGeometry(0), owner.material);
+        this.hiddenLine = new LineSegments2(this.edgeGeometry(0), owner.hiddenMaterial);
+
+        // Copies move independently, so bounds would have to be rebuilt every frame
+        [this.occluder, this.line, this.hiddenLine].forEach((object) => {
+            object.frustumCulled = false;
+        });
+    }
+
+    edgeGeometry(index) {
+        if (!this.edgeLevels[index]) {
+            const edges = this.levels[index].edges;
+            if (this.owner.usesTexture) {
+                this.edgeLevels[index] = batchEdges(edges, this.offset, this.parts.length);
+            } else {
+                const stride = PART_TEXELS * 4;
+                const data = this.owner.data.subarray(this.offset * stride, (this.offset + this.parts.length) * stride);
+                this.edgeLevels[index] = repeatEdges(edges, data, this.parts.length);
+                this.partBuffers.push(this.edgeLevels[index].attributes.instancePartColor.data);
+            }
+        }
+        return this.edgeLevels[index];
+    }
+
+    update() {
+        // Hidden and ghosted copies collapse to nothing, so they don't occlude
+        this.parts.forEach((part, i) => {
+            this.occluder.setMatrixAt(i, part.shown && part.occludes ? part.matrixWorld : HIDDEN_MATRIX);
+        });
+        this.occluder.instanceMatrix.needsUpdate = true;
+        this.partBuffers.forEach((buffer) => {
+            buffer.needsUpdate = true;
+        });
+    }
+
+    dispose() {
+        this.levels.forEach((level) => {
+            level.geometry.dispose();
+            level.edges.dispose();
+        });
+        this.edgeLevels.forEach((edges) => edges.dispose());
+        this.occluder.dispose();
+    }
+}
+
+// A level's edges with every attribute advancing once per `count` instances:
+// instance i draws edge i / count of part offset + i % count
+function batchEdges(edges, offset, count) {
+    const source = edges.attributes;
+    const segments = source.instanceStart.data.array; // xyz, xyz per edge
+    const edgeCount = segments.length / 6;
+
+    const geometry = new LineSegmentsGeometry();
+    const segmentBuffer = new THREE.InstancedInterleavedBuffer(segments, 6, count);
+    geometry.setAttribute('instanceStart', new THREE.InterleavedBufferAttribute(segmentBuffer, 3, 0));
+    geometry.setAttribute('instanceEnd', new THREE.InterleavedBufferAttribute(segmentBuffer, 3, 3));
+    geometry.setAttribute('instanceNormalA', new THREE.InstancedBufferAttribute(source.instanceNormalA.array, 3, false, count));
+    geometry.setAttribute('instanceNormalB', new THREE.InstancedBufferAttribute(source.instanceNormalB.array, 3, false, count));
+
+    const distanceBuffer = new THREE.InstancedInterleavedBuffer(dashDistances(segments), 2, count);
+    geometry.setAttribute('instanceDistanceStart', new THREE.InterleavedBufferAttribute(distanceBuffer, 1, 0));
+    geometry.setAttribute('instanceDistanceEnd', new THREE.InterleavedBufferAttribute(distanceBuffer, 1, 1));
+
+    // Same for every instance of the draw
+    const range = new THREE.InstancedBufferAttribute(new Float32Array([offset, count]), 2, false, Math.max(edgeCount * count, 1));
+    geometry.setAttribute('instancePartRange', range);
+
+    geometry.instanceCount = edgeCount * count;
+    return geometry;
+}
+
+// Without the part texture: a level's edges repeated `count` times, copy after
+// copy, with the copies' slices of the part data advancing once per edge count
+function repeatEdges(edges, data, count) {
+    const source = edges.attributes;
+    const segments = source.instanceStart.data.array;
+    const edgeCount = segments.length / 6;
+
+    const repeat = (array) => {
+        const repeated = new Float32Array(array.length * count);
+        for (let i = 0; i < count; i++) repeated.set(array, i * array.length);
+        return repeated;
+    };
+
+    const geometry = new LineSegmentsGeometry();
+    const segmentBuffer = new THREE.InstancedInterleavedBuffer(repeat(segments), 6, 1);
+    geometry.setAttribute('instanceStart', new THREE.InterleavedBufferAttribute(segmentBuffer, 3, 0));
+    geometry.setAttribute('instanceEnd', new THREE.InterleavedBufferAttribute(segmentBuffer, 3, 3));
+    geometry.setAttribute('instanceNormalA', new THREE.InstancedBufferAttribute(repeat(source.instanceNormalA.array), 3));
+    geometry.setAttribute('instanceNormalB', new THREE.InstancedBufferAttribute(repeat(source.instanceNormalB.array), 3));
+
+    const distanceBuffer = new THREE.InstancedInterleavedBuffer(repeat(dashDistances(segments)), 2, 1);
+    geometry.setAttribute('instanceDistanceStart', new THREE.InterleavedBufferAttribute(distanceBuffer, 1, 0));
+    geometry.setAttribute('instanceDistanceEnd', new THREE.InterleavedBufferAttribute(distanceBuffer, 1, 1));
+
+    // Matrix columns, colour, flags: the texels of the part texture
+    const partBuffer = new THREE.InstancedInterleavedBuffer(data, PART_TEXELS * 4, Math.max(edgeCount, 1));
+    partBuffer.setUsage(THREE.DynamicDrawUsage);
+    for (let column = 0; column < 4; column++) {
+        geometry.setAttribute(`instancePartMatrix${column}`, new THREE.InterleavedBufferAttribute(partBuffer, 4, column * 4));
+    }
+    geometry.setAttribute('instancePartColor', new THREE.InterleavedBufferAttribute(partBuffer, 4, 16));
+    geometry.setAttribute('instancePartFlags', new THREE.InterleavedBufferAttribute(partBuffer, 3, 20));
+
+    geometry.instanceCount = edgeCount * count;
+    return geometry;
+}
+
+// Dash distances, accumulated along the edges as LineSegments2.computeLineDistances does
+function dashDistances(segments) {
+    const edgeCount = segments.length / 6;
+    const distances = new Float32Array(edgeCount * 2);
+    let total = 0;
+    for (let edge = 0; edge < edgeCount; edge++) {
+        const i = edge * 6;
+        distances[edge * 2] = total;
+        total += Math.hypot(segments[i + 3] - segments[i], segments[i + 4] - segments[i + 1], segments[i + 5] - segments[i + 2]);
+        distances[edge * 2 + 1] = total;
+    }
+    return distances;
+}
+
+function isShown(object) {
+    for (let current = object; current; current = current.parent) {
+        if (!current.visible) return false;
+    }
+    return true;
+}
+
+// Point meshes whose positions and index are identical at one geometry, so each
+// unique part is processed and batched once. Returns how many geometries were folded.
+export function shareIdenticalGeometry(model) {
+    const candidates = new Map(); // Content hash -> [{ geometry, position, index }]
+    const shared = new Map(); // Geometry -> the one it is drawn as
+
+    model.traverse((mesh) => {
+        if (!mesh.isMesh || !mesh.geometry.attributes.position) return;
+        if (!shared.has(mesh.geometry)) shared.set(mesh.geometry, findIdentical(mesh.geometry, candidates));
+        mesh.geometry = shared.get(mesh.geometry);
+    });
+
+    let folded = 0;
+    shared.forEach((geometry, original) => {
+        if (geometry === original) return;
+        original.dispose();
+        folded++;
+    });
+    return folded;
+}
+
+function findIdentical(geometry, candidates) {
+    const position = floatPositions(geometry.attributes.position);
+    const index = geometry.index ? geometry.index.array : null;
+    const key = `${position.length}:${index ? index.length : 0}:${hashVertices(position, index)}`;
+
+    const matches = candidates.get(key) || [];
+    const match = matches.find((candidate) => sameValues(candidate.position, position) && sameValues(candidate.index, index));
+    if (match) return match.geometry;
+
+    matches.push({ geometry, position, index });
+    candidates.set(key, matches);
+    return geometry;
+}
+
+// FNV-1a over the position bits and index values
+function hashVertices(position, index) {
+    let hash = 0x811c9dc5;
+    const bits = new Uint32Array(position.buffer, position.byteOffset, position.length);
+    for (let i = 0; i < bits.length; i++) hash = Math.imul(hash ^ bits[i], 0x01000193);
+    if (index) {
+        for (let i = 0; i < index.length; i++) hash = Math.imul(hash ^ index[i], 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+function sameValues(a, b) {
+    if (a === b) return true;
+    if (!a || !b || a.length !== b.length) return false;
+    for (let i = 0; i < a.length; i++) {
+        if (a[i] !== b[i]) return false;
+    }
+    return true;
+}
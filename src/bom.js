@@ -0,0 +1,240 @@
+import { HIDDEN_KEYS, formatLabel, formatValue } from './picking.js';
+import { downloadFile } from './vector-export.js';
+
+// Bill of materials
+//
+// The component tree as a parts list: one row per part with its quantity, its
+// category and the glTF extras (manufacturer, part number, rating...) its
+// components carry. Components are the same part when their extras give the
+// same part number or, without one, when they are drawn from the same
+// geometry (copies share a batch, see batching.js). A row is named after its
+// shortest component name, without the ".001" suffixes exporters add to copies.
+// Where copies disagree on a field, the values are listed together.
+//
+// The table sits beside the viewer. Selecting a row highlights every instance
+// of the part; picking a component in the view selects its row. CSV and JSON
+// exports hold the same rows.
+
+const PART_NUMBER_KEYS = ['partnumber', 'partno', 'pn', 'mpn', 'articlenumber', 'ordernumber', 'catalognumber', 'sku'];
+const LISTED_KEYS = [...HIDDEN_KEYS, 'category']; // Extras with a column of their own or none
+
+// { columns: [{ key, label, field }], rows: [{ item, name, quantity, category, fields: { key: value }, entries }] }
+export function buildBOM(componentGroups) {
+    const batchIds = new Map(); // Geometry batch -> number, for grouping copies
+    const rows = new Map();
+    const fieldKeys = [];
+
+    componentGroups.forEach((entry) => {
+        const { group, parts, category } = entry;
+        const fields = Object.entries(group.userData).filter(([key]) => !LISTED_KEYS.includes(key));
+        fields.forEach(([key]) => {
+            if (!fieldKeys.includes(key)) fieldKeys.push(key);
+        });
+
+        const partNumber = fields.find(([key]) => PART_NUMBER_KEYS.includes(key.toLowerCase().replace(/[^a-z]/g, '')));
+        const key = partNumber
+            ? `part:${formatValue(partNumber[1])}`
+            : `geometry:${parts.map((part) => {
+                if (!batchIds.has(part.batch)) batchIds.set(part.batch, batchIds.size);
+                return batchIds.get(part.batch);
+            }).sort((a, b) => a - b).join(',')}`;
+
+        let row = rows.get(key);
+        if (!row) {
+            row = { name: null, quantity: 0, category: category || '', values: new Map(), entries: [] };
+            rows.set(key, row);
+        }
+
+        const name = (group.userData.name || group.name || 'Unnamed part').replace(/\.\d+$/, '');
+        if (row.name === null || name.length < row.name.length) row.name = name;
+        row.quantity++;
+        row.entries.push(entry);
+        fields.forEach(([field, value]) => {
+            if (!row.values.has(field)) row.values.set(field, new Set());
+            row.values.get(field).add(formatValue(value));
+        });
+    });
+
+    return {
+        columns: [
+            { key: 'item', label: 'Item' },
+            { key: 'name', label: 'Part' },
+            { key: 'quantity', label: 'Qty' },
+            { key: 'category', label: 'Category' },
+            ...fieldKeys.map((key) => ({ key, label: formatLabel(key), field: true }))
+        ],
+        rows: Array.from(rows.values()).map((row, index) => ({
+            item: index + 1,
+            name: row.name,
+            quantity: row.quantity,
+            category: row.category,
+            fields: Object.fromEntries(Array.from(row.values, ([field, values]) => [field, Array.from(values).join('; ')])),
+            entries: row.entries
+        }))
+    };
+}
+
+function cellValue(row, { key, field }) {
+    return field ? row.fields[key] ?? '' : row[key];
+}
+
+export function bomToCSV({ columns, rows }) {
+    const escape = (value) => {
+        const text = String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const lines = [columns.map((column) => escape(column.label))];
+    rows.forEach((row) => lines.push(columns.map((column) => escape(cellValue(row, column)))));
+    return lines.map((cells) => cells.join(',')).join('\r\n') + '\r\n';
+}
+
+// Each row with its extras and the names of the components it counts
+export function bomToJSON({ rows }) {
+    return JSON.stringify({
+        parts: rows.map(({ item, name, quantity, category, fields, entries }) => ({
+            item,
+            name,
+            quantity,
+            category: category || null,
+            extras: fields,
+            components: entries.map(({ group }) => group.userData.name || group.name)
+        }))
+    }, null, 4);
+}
+
+export class BillOfMaterials {
+    constructor(viewer) {
+        this.viewer = viewer;
+        this.visible = false;
+        this.bom = { columns: [], rows: [] };
+        this.selectedRow = null;
+        this.rowElements = new Map(); // row -> <tr>
+        this.controlButton = null;
+
+        this.panel = this.createPanel();
+        this.table = this.panel.querySelector('.bom-table');
+
+        // Components picked in the view select their row
+        this.onSelect = this.onSelect.bind(this);
+        viewer.addEventListener('select', this.onSelect);
+    }
+
+    createPanel() {
+        const panel = document.createElement('aside');
+        panel.className = 'bom-panel';
+        panel.setAttribute('aria-label', 'Bill of materials');
+        panel.hidden = true;
+        panel.innerHTML = `
+            <button type="button" class="bom-panel-close" aria-label="Close">&times;</button>
+            <h3 class="bom-panel-title">Bill of materials</h3>
+            <div class="bom-table-wrap">
+                <table class="bom-table" role="grid"></table>
+            </div>
+            <div class="bom-actions">
+                <button type="button" data-format="csv">Export CSV</button>
+                <button type="button" data-format="json">Export JSON</button>
+            </div>
+        `;
+
+        panel.querySelector('.bom-panel-close').addEventListener('click', () => this.setVisible(false));
+        panel.querySelectorAll('[data-format]').forEach((button) => {
+            button.addEventListener('click', () => this.download(button.dataset.format));
+        });
+
+        this.viewer.overlayElement.appendChild(panel);
+        return panel;
+    }
+
+    // Parts list toggle for the viewer tools
+    createControls() {
+        const element = document.createElement('div');
+        element.className = 'bom-control';
+        element.innerHTML = '<button type="button" aria-pressed="false">Parts list</button>';
+        this.controlButton = element.querySelector('button');
+        this.controlButton.addEventListener('click', () => this.setVisible(!this.visible));
+        return element;
+    }
+
+    setModel(componentGroups) {
+        this.bom = buildBOM(componentGroups);
+        this.selectedRow = null;
+        this.render();
+    }
+
+    setVisible(visible) {
+        this.visible = visible;
+        this.panel.hidden = !visible;
+        if (this.controlButton) this.controlButton.setAttribute('aria-pressed', String(visible));
+    }
+
+    render() {
+        const { columns, rows } = this.bom;
+        this.table.replaceChildren();
+        this.rowElements.clear();
+
+        const head = this.table.createTHead().insertRow();
+        columns.forEach(({ label }) => {
+            const cell = document.createElement('th');
+            cell.scope = 'col';
+            cell.textContent = label;
+            head.appendChild(cell);
+        });
+
+        const body = this.table.createTBody();
+        rows.forEach((row) => {
+            const element = body.insertRow();
+            element.tabIndex = 0;
+            element.setAttribute('aria-selected', 'false');
+            columns.forEach((column) => {
+                element.insertCell().textContent = cellValue(row, column);
+            });
+
+            element.addEventListener('click', () => this.select(row === this.selectedRow ? null : row));
+            element.addEventListener('keydown', (event) => {
+                if (event.key !== 'Enter' && event.key !== ' ') return;
+                event.preventDefault();
+                this.select(row === this.selectedRow ? null : row);
+            });
+            this.rowElements.set(row, element);
+        });
+    }
+
+    // Highlights every instance of the row's part; only on the assembled panel, like picking
+    select(row) {
+        const picker = this.viewer.picker;
+        if (!picker.enabled) return;
+
+        picker.select(null);
+        if (row) picker.highlight(row.entries);
+        this.markRow(row);
+    }
+
+    onSelect({ component }) {
+        const row = component ? this.bom.rows.find((candidate) => candidate.entries.some(({ group }) => group === component)) : null;
+        this.markRow(row || null);
+        if (row && this.visible) this.rowElements.get(row).scrollIntoView({ block: 'nearest' });
+    }
+
+    markRow(row) {
+        if (this.selectedRow) this.rowElements.get(this.selectedRow).setAttribute('aria-selected', 'false');
+        this.selectedRow = row;
+        if (row) this.rowElements.get(row).setAttribute('aria-selected', 'true');
+    }
+
+    // enclosure4.glb -> enclosure4-bom.csv
+    download(format = 'csv') {
+        const url = this.viewer.modelUrl;
+        const base = url ? url.split(/[?#]/)[0].split('/').pop().replace(/\.[^.]+$/, '') : '';
+        const name = `${base || 'assembly'}-bom.${format}`;
+        if (format === 'json') {
+            downloadFile(bomToJSON(this.bom), name, 'application/json');
+        } else {
+            downloadFile(bomToCSV(this.bom), name, 'text/csv');
+        }
+    }
+
+    dispose() {
+        this.viewer.removeEventListener('select', this.onSelect);
+        this.panel.remove();
+    }
+}
@@ -0,0 +1,218 @@
+import * as THREE from 'three';
+import { EASINGS, compileNamePattern, componentNames } from './sequence.js';
+import { findMountingPlane } from './explode.js';
+
+// Camera views, presets and keyframes
+//
+// A view is { target, direction, height, depth }: the point looked at, the unit
+// vector from it toward the camera, the world height visible at the target and
+// the depth of what is framed. That means the same for both projections (frustum
+// size for orthographic, distance for perspective), so presets, transitions and
+// keyframes work with either camera.
+//
+// Presets look at the assembled model from a named side (model space, Y up).
+// 'interior' looks square onto the base component's back plate, the view with
+// the door open, framed on the base.
+//
+// Keyframes tie views to assembly progress, from the `cameraKeyframes` option or
+// a sequence manifest's "camera" array:
+//
+//   { "at": 0.4, "view": "front", "frame": ["Pano_Ray*"], "padding": 1.4, "easing": "easeInOutCubic" }
+//
+// at:      timeline position (0-1)
+// view:    preset name or [x, y, z] direction toward the camera (default 'iso')
+// frame:   component names to fit, exact, glob or /regex/ as in sequences (default the whole model)
+// padding: margin around the framed parts (default the viewer's viewPadding)
+// easing:  curve for the move from the previous keyframe (default easeInOutCubic)
+
+export const VIEW_PRESETS = {
+    front: [0, 0, 1],
+    back: [0, 0, -1],
+    right: [1, 0, 0],
+    left: [-1, 0, 0],
+    top: [0, 1, 0],
+    bottom: [0, -1, 0],
+    iso: [-1, 1, 1],
+    interior: null // Worked out from the base component
+};
+
+export const DEFAULT_VIEW_PADDING = 1.1; // Framed parts fill 1/1.1 of the view
+const HERO_VIEW_HEIGHT = 0.75; // Of the model's largest dimension: 1.5x padding, halved for a 2x zoom
+const DEFAULT_KEYFRAME_EASING = 'easeInOutCubic';
+
+// Unit direction for a preset name or [x, y, z]; null if it can't be resolved
+export function viewDirection(view, components = [], boxes = new Map()) {
+    if (Array.isArray(view)) {
+        const direction = new THREE.Vector3().fromArray(view);
+        return direction.lengthSq() > 0 ? direction.normalize() : null;
+    }
+
+    if (view === 'interior') {
+        return components.length > 0 ? findMountingPlane(components, boxes).normal.clone() : null;
+    }
+
+    return VIEW_PRESETS[view] ? new THREE.Vector3().fromArray(VIEW_PRESETS[view]).normalize() : null;
+}
+
+// Fit `box` into a `aspect` viewport seen from `direction`
+export function fitView(box, direction, aspect, padding = DEFAULT_VIEW_PADDING) {
+    const { right, up } = viewBasis(direction);
+    const target = box.getCenter(new THREE.Vector3());
+
+    // Extent of the box's corners across and up the screen, and along the view
+    let width = 0;
+    let height = 0;
+    let depth = 0;
+    const corner = new THREE.Vector3();
+    for (let i = 0; i < 8; i++) {
+        corner.set(
+            i & 1 ? box.max.x : box.min.x,
+            i & 2 ? box.max.y : box.min.y,
+            i & 4 ? box.max.z : box.min.z
+        ).sub(target);
+        width = Math.max(width, Math.abs(corner.dot(right)) * 2);
+        height = Math.max(height, Math.abs(corner.dot(up)) * 2);
+        depth = Math.max(depth, Math.abs(corner.dot(direction)) * 2);
+    }
+
+    return {
+        target,
+        direction: direction.clone(),
+        height: Math.max(height, width / aspect, 1e-6) * padding,
+        depth
+    };
+}
+
+// The hero's starting view: the iso corner at the zoom the page was designed
+// around, sized on the model's largest dimension rather than fitted
+export function heroView(bounds, aspect) {
+    const size = bounds.getSize(new THREE.Vector3());
+    return {
+        ...fitView(bounds, viewDirection('iso'), aspect, 1),
+        height: Math.max(size.x, size.y, size.z) * HERO_VIEW_HEIGHT
+    };
+}
+
+function viewBasis(direction) {
+    // Screen axes for a Y-up camera; straight down or up falls back to -Z as up
+    const worldUp = Math.abs(direction.y) > 0.999 ? new THREE.Vector3(0, 0, -Math.sign(direction.y)) : new THREE.Vector3(0, 1, 0);
+    const right = new THREE.Vector3().crossVectors(worldUp, direction).normalize();
+    const up = new THREE.Vector3().crossVectors(direction, right);
+    return { right, up };
+}
+
+// Place `camera` (and the orbit target) for a view. Orthographic cameras stay
+// `orthoDistance` back so nothing in front of the target is clipped.
+export function applyView(camera, controls, view, aspect, orthoDistance) {
+    // OrbitControls can't look straight along its up axis
+    const direction = view.direction.clone();
+    if (1 - Math.abs(direction.y) < 1e-6) direction.z += 1e-3;
+    direction.normalize();
+
+    if (camera.isPerspectiveCamera) {
+        // The framed height is measured at the front of the parts
+        const distance = view.height / (2 * Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2)) + view.depth / 2;
+        camera.position.copy(view.target).addScaledVector(direction, distance);
+        camera.near = Math.max(distance * 0.01, 1e-4);
+        camera.far = distance * 100;
+        camera.aspect = aspect;
+    } else {
+        camera.position.copy(view.target).addScaledVector(direction, orthoDistance);
+        camera.top = view.height / 2;
+        camera.bottom = -view.height / 2;
+        camera.left = -view.height * aspect / 2;
+        camera.right = view.height * aspect / 2;
+        camera.zoom = 1;
+    }
+
+    camera.updateProjectionMatrix();
+    camera.lookAt(view.target);
+    controls.target.copy(view.target);
+}
+
+// The camera's current view, as the start of a transition
+export function currentView(camera, controls) {
+    const offset = camera.position.clone().sub(controls.target);
+    const distance = offset.length();
+
+    const height = camera.isPerspectiveCamera
+        ? 2 * Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2) * distance
+        : (camera.top - camera.bottom) / camera.zoom;
+
+    return {
+        target: controls.target.clone(),
+        direction: distance > 0 ? offset.divideScalar(distance) : new THREE.Vector3(0, 0, 1),
+        height,
+        depth: 0
+    };
+}
+
+// Views in between: the direction swings on a great circle and the height
+// scales geometrically, so zooming feels even
+export function interpolateViews(from, to, t) {
+    const turn = new THREE.Quaternion().setFromUnitVectors(from.direction, to.direction);
+    const partial = new THREE.Quaternion().slerp(turn, t);
+
+    return {
+        target: from.target.clone().lerp(to.target, t),
+        direction: from.direction.clone().applyQuaternion(partial).normalize(),
+        height: from.height * Math.pow(to.height / from.height, t),
+        depth: THREE.MathUtils.lerp(from.depth, to.depth, t)
+    };
+}
+
+// What a view or keyframe definition ({ view, frame, padding }) looks at, given the
+// loaded components. Boxes are per component in centered model space; `bounds`
+// is the whole model. Returns { direction, box, padding }.
+export function resolveViewSpec(spec, components, boxes, bounds, padding = DEFAULT_VIEW_PADDING) {
+    const view = spec.view || 'iso';
+    let direction = viewDirection(view, components, boxes);
+    if (!direction) {
+        console.warn(`Unknown camera view "${view}", using iso`);
+        direction = viewDirection('iso');
+    }
+
+    let box = bounds.clone();
+    if (spec.frame) {
+        const matchers = [].concat(spec.frame).map(compileNamePattern);
+        const framed = components.filter((component) =>
+            componentNames(component).some((name) => matchers.some((matches) => matches(name))));
+
+        if (framed.length > 0) {
+            box = new THREE.Box3();
+            framed.forEach((component) => box.union(boxes.get(component)));
+        } else {
+            console.warn(`Camera frame ${JSON.stringify(spec.frame)} matched no components, framing the whole model`);
+        }
+    } else if (view === 'interior' && components.length > 0) {
+        box = boxes.get(components[0]).clone();
+    }
+
+    return { direction, box, padding: spec.padding ?? padding };
+}
+
+// Keyframes as [{ at, direction, box, padding, easing }], sorted by `at`
+export function resolveCameraKeyframes(keyframes, components, boxes, bounds, padding = DEFAULT_VIEW_PADDING) {
+    return (keyframes || []).map((keyframe) => {
+        const easing = keyframe.easing || DEFAULT_KEYFRAME_EASING;
+        return {
+            ...resolveViewSpec(keyframe, components, boxes, bounds, padding),
+            at: THREE.MathUtils.clamp(keyframe.at ?? 0, 0, 1),
+            easing: EASINGS[easing] || EASINGS[DEFAULT_KEYFRAME_EASING]
+        };
+    }).sort((a, b) => a.at - b.at);
+}
+
+// Camera view at a timeline position
+export function keyframeViewAt(keyframes, progress, aspect) {
+    const fit = (keyframe) => fitView(keyframe.box, keyframe.direction, aspect, keyframe.padding);
+
+    const nextIndex = keyframes.findIndex((keyframe) => keyframe.at > progress);
+    if (nextIndex === 0) return fit(keyframes[0]);
+    if (nextIndex === -1) return fit(keyframes[keyframes.length - 1]);
+
+    const previous = keyframes[nextIndex - 1];
+    const next = keyframes[nextIndex];
+    const t = (progress - previous.at) / (next.at - previous.at);
+    return interpolateViews(fit(previous), fit(next), next.easing(t));
+}
@@ -0,0 +1,206 @@
+import * as THREE from 'three';
+import { compileNamePattern } from './sequence.js';
+
+// Component detection
+//
+// Turns a loaded glTF scene into the rigid units that animate. Components are
+// cut from the node hierarchy rather than per mesh, so a breaker made of a
+// dozen meshes (or a DIN rail sub-assembly with its terminal blocks) moves as
+// one piece.
+//
+// Options:
+//   depth:         hierarchy level that becomes a component. 1 = top-level nodes
+//                  (after skipping empty single-child wrapper nodes such as an
+//                  exported "Assembly" root); Infinity = every mesh on its own
+//   rules:         [{ match: 'DIN_Rail*', as: 'group' | 'split' | 'ignore' }]
+//                  checked before depth, first match wins. 'group' makes the node
+//                  a component whatever its depth, 'split' descends into it,
+//                  'ignore' leaves it out of the viewer
+//   minSize:       parts smaller than this fraction of the model are "small"
+//   smallParts:    'merge' (ride along with the part that contains them),
+//                  'keep' (animate on their own) or 'drop'
+//   maxComponents: beyond this many (largest first) the rest count as small
+export const DEFAULT_GROUPING = {
+    depth: 1,
+    rules: [],
+    minSize: 0.02,
+    smallParts: 'merge',
+    maxComponents: 500
+};
+
+function compileRules(rules) {
+    return (rules || []).map((rule) => ({
+        as: rule.as || 'group',
+        matchers: [].concat(rule.match).map(compileNamePattern)
+    }));
+}
+
+function findRule(node, rules) {
+    const names = [node.name];
+    if (node.userData.name && node.userData.name !== node.name) names.push(node.userData.name);
+    return rules.find((rule) => names.some((name) => rule.matchers.some((matches) => matches(name))));
+}
+
+function collectMeshes(node) {
+    const meshes = [];
+    node.traverse((child) => {
+        if (child.isMesh) meshes.push(child);
+    });
+    return meshes;
+}
+
+function meshWorldBox(mesh) {
+    if (mesh.geometry.boundingBox === null) mesh.geometry.computeBoundingBox();
+    return mesh.geometry.boundingBox.clone().applyMatrix4(mesh.matrixWorld);
+}
+
+// Walk the hierarchy and cut it into component candidates
+function groupNodes(model, grouping, report) {
+    const rules = compileRules(grouping.rules);
+    const candidates = [];
+
+    const visit = (node, depth) => {
+        const rule = findRule(node, rules);
+
+        if (rule && rule.as === 'ignore') {
+            report.ignored.push({ name: node.name, meshes: collectMeshes(node).length });
+            return;
+        }
+
+        // Empty wrappers with a single child don't count as a level
+        const passThrough = !node.isMesh && node.children.length === 1;
+
+        if ((rule && rule.as === 'group') || (depth >= grouping.depth && !(rule && rule.as === 'split'))) {
+            const meshes = collectMeshes(node);
+            if (meshes.length > 0) candidates.push({ node, meshes });
+            return;
+        }
+
+        // A mesh above the grouping depth is its own component; its children are grouped separately
+        if (node.isMesh) {
+            candidates.push({ node, meshes: [node] });
+        }
+
+        node.children.forEach((child) => visit(child, passThrough ? depth : depth + 1));
+    };
+
+    visit(model, 0);
+    return candidates;
+}
+
+// Detect components in `model`. Returns the components (largest first), the
+// model bounds in world space and a report of every grouping decision.
+export function detectComponents(model, options = {}) {
+    const grouping = { ...DEFAULT_GROUPING, ...options };
+    const report = {
+        meshes: 0,
+        components: 0,
+        merged: [],
+        dropped: [],
+        kept: [],
+        ignored: []
+    };
+
+    model.updateMatrixWorld(true);
+    report.meshes = collectMeshes(model).length;
+
+    const candidates = groupNodes(model, grouping, report);
+
+    // Bounds and size (bounding-box diagonal) per candidate
+    const bounds = new THREE.Box3();
+    candidates.forEach((candidate) => {
+        candidate.box = new THREE.Box3();
+        candidate.meshes.forEach((mesh) => candidate.box.union(meshWorldBox(mesh)));
+        candidate.size = candidate.box.min.distanceTo(candidate.box.max);
+        bounds.union(candidate.box);
+    });
+
+    const modelSize = bounds.getSize(new THREE.Vector3());
+    const minComponentSize = Math.max(modelSize.x, modelSize.y, modelSize.z) * grouping.minSize;
+
+    candidates.sort((a, b) => b.size - a.size);
+
+    const components = [];
+    const small = [];
+    candidates.forEach((candidate) => {
+        if (candidate.size < minComponentSize) {
+            small.push({ candidate, reason: 'size' });
+        } else if (components.length >= grouping.maxComponents) {
+            small.push({ candidate, reason: 'limit' });
+        } else {
+            components.push(candidate);
+        }
+    });
+
+    small.forEach(({ candidate, reason }) => {
+        const entry = { name: candidate.node.name, size: candidate.size, reason };
+
+        if (grouping.smallParts === 'drop') {
+            report.dropped.push(entry);
+            return;
+        }
+
+        if (grouping.smallParts === 'merge') {
+            const host = findHost(candidate, components, minComponentSize);
+            if (host) {
+                host.meshes.push(...candidate.meshes);
+                host.mergedNames = (host.mergedNames || []).concat(candidate.node.name);
+                report.merged.push({ ...entry, into: host.node.name });
+                return;
+            }
+        }
+
+        // 'keep', or nothing to merge into
+        report.kept.push(entry);
+        components.push(candidate);
+    });
+
+    report.components = components.length;
+    return { components, bounds, report };
+}
+
+// The smallest component whose box contains the part's center, or failing
+// that the closest one within `tolerance`
+function findHost(candidate, components, tolerance) {
+    const center = candidate.box.getCenter(new THREE.Vector3());
+    let host = null;
+    let hostVolume = Infinity;
+    let closest = null;
+    let closestDistance = tolerance;
+
+    components.forEach((component) => {
+        if (component.box.containsPoint(center)) {
+            const size = component.box.getSize(new THREE.Vector3());
+            const volume = size.x * size.y * size.z;
+            if (volume < hostVolume) {
+                host = component;
+                hostVolume = volume;
+            }
+            return;
+        }
+
+        const distance = component.box.distanceToPoint(center);
+        if (distance <= closestDistance) {
+            closest = component;
+            closestDistance = distance;
+        }
+    });
+
+    return host || closest;
+}
+
+export function logGroupingReport(report) {
+    console.log(
+        `Grouped ${report.meshes} meshes into ${report.components} components ` +
+        `(${report.merged.length} small parts merged, ${report.kept.length} kept, ` +
+        `${report.dropped.length} dropped, ${report.ignored.length} ignored)`
+    );
+
+    const decisions = [
+        ...report.merged.map((entry) => ({ decision: 'merged', ...entry })),
+        ...report.kept.map((entry) => ({ decision: 'kept', ...entry })),
+        ...report.dropped.map((entry) => ({ decision: 'dropped', ...entry })),
+        ...report.ignored.map((entry) => ({ decision: 'ignored', ...entry }))
+    ];
+    if (decisions.length > 0) console.table(decisions);
+}
@@ -0,0 +1,229 @@
+import * as THREE from 'three';
+
+// Overall dimensions
+//
+// Width, height and depth of the assembled panel (the model bounds) drawn as
+// dimension lines over the canvas, in millimetres or inches. They are SVG
+// rather than scene lines so the text stays upright and the arrows, offsets and
+// strokes keep their size in pixels at any zoom. Each frame every axis is
+// dimensioned along whichever of its four box edges sits furthest out on
+// screen, offset along the box face that reads best from the current angle;
+// an axis seen end-on is left out until the camera turns.
+//
+// Lengths are converted from the model's units: glTF is in metres, STEP and
+// IGES come out of the CAD worker in millimetres (the `modelUnit` option
+// overrides either).
+
+export const MODEL_UNITS = { m: 1000, cm: 10, mm: 1, in: 25.4 }; // Millimetres per unit
+export const DISPLAY_UNITS = ['mm', 'in'];
+
+const DIMENSION_OFFSET = 28; // px from the model edge to the dimension line
+const EXTENSION_GAP = 4; // px left between the model and an extension line
+const EXTENSION_OVERSHOOT = 6; // px extension lines run past the dimension line
+const LABEL_OFFSET = 12; // px from the dimension line to its label
+const MIN_LENGTH = 24; // px; shorter (end-on) dimensions are left out
+const AXES = ['x', 'y', 'z'];
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+let layerCount = 0; // For unique marker ids
+
+export function toMillimeters(length, modelUnit = 'm') {
+    return length * (MODEL_UNITS[modelUnit] || MODEL_UNITS.m);
+}
+
+export function formatLength(millimeters, units = 'mm') {
+    if (units === 'in') return `${(millimeters / 25.4).toFixed(2)} in`;
+    return `${millimeters.toFixed(Math.abs(millimeters) < 100 ? 1 : 0)} mm`;
+}
+
+// SVG over the canvas shared by the dimensions and the measure tool, in canvas pixels
+export class AnnotationLayer {
+    constructor(viewer) {
+        this.viewer = viewer;
+        this.size = new THREE.Vector2();
+        this.projected = new THREE.Vector3();
+
+        this.markerId = `viewer-arrow-${++layerCount}`;
+        this.element = document.createElementNS(SVG_NS, 'svg');
+        this.element.setAttribute('class', 'viewer-annotations');
+        this.element.setAttribute('aria-hidden', 'true');
+        this.element.innerHTML = `
+            <defs>
+                <marker id="${this.markerId}" viewBox="0 0 10 10" refX="10" refY="5"
+                    markerWidth="8" markerHeight="8" orient="auto-start-reverse">
+                    <path d="M0,1 L10,5 L0,9 z" fill="currentColor"/>
+                </marker>
+            </defs>
+        `;
+        viewer.container.appendChild(this.element);
+        this.setTheme(viewer.theme);
+    }
+
+    // Colours come from the viewer theme so the theme option applies too
+    setTheme(theme) {
+        const css = (hex) => `#${new THREE.Color(hex).getHexString()}`;
+        this.element.style.setProperty('--annotation-color', css(theme.hover));
+        this.element.style.setProperty('--annotation-active', css(theme.highlight));
+        this.element.style.setProperty('--annotation-halo', css(theme.background));
+    }
+
+    create(tag, parent = this.element, className = null) {
+        const element = document.createElementNS(SVG_NS, tag);
+        if (className) element.setAttribute('class', className);
+        parent.appendChild(element);
+        return element;
+    }
+
+    // World point to canvas pixels in `target`; false when it is outside the depth range
+    project(point, target) {
+        this.viewer.renderer.getSize(this.size);
+        this.projected.copy(point).project(this.viewer.camera);
+        target.set((this.projected.x + 1) / 2 * this.size.x, (1 - this.projected.y) / 2 * this.size.y);
+        return Math.abs(this.projected.z) <= 1;
+    }
+
+    // Pointer position in canvas pixels
+    pointer(event, target) {
+        const rect = this.viewer.renderer.domElement.getBoundingClientRect();
+        return target.set(event.clientX - rect.left, event.clientY - rect.top);
+    }
+
+    dispose() {
+        this.element.remove();
+    }
+}
+
+export class DimensionOverlay {
+    constructor(viewer, layer) {
+        this.viewer = viewer;
+        this.layer = layer;
+        this.visible = false;
+
+        this.group = layer.create('g', layer.element, 'viewer-dimensions');
+        this.dimensions = AXES.map(() => {
+            const group = layer.create('g', this.group);
+            const extensions = [layer.create('line', group), layer.create('line', group)];
+            const line = layer.create('line', group, 'dimension-line');
+            line.setAttribute('marker-start', `url(#${layer.markerId})`);
+            line.setAttribute('marker-end', `url(#${layer.markerId})`);
+            const label = layer.create('text', group, 'annotation-label');
+            return { group, extensions, line, label };
+        });
+        this.group.style.display = 'none';
+
+        // Scratch vectors; update() runs every rendered frame
+        this.center = new THREE.Vector3();
+        this.centerPixel = new THREE.Vector2();
+        this.start = new THREE.Vector3();
+        this.end = new THREE.Vector3();
+        this.outward = new THREE.Vector3();
+        this.point = new THREE.Vector3();
+        this.a = new THREE.Vector2();
+        this.b = new THREE.Vector2();
+        this.c = new THREE.Vector2();
+    }
+
+    setVisible(visible) {
+        this.visible = visible;
+        this.group.style.display = visible ? '' : 'none';
+        if (visible) this.update();
+    }
+
+    update() {
+        const box = this.viewer.modelBounds;
+        if (!this.visible || box.isEmpty()) return;
+
+        box.getCenter(this.center);
+        this.layer.project(this.center, this.centerPixel);
+        AXES.forEach((axis, index) => {
+            const dimension = this.dimensions[index];
+            dimension.group.style.display = this.place(axis, dimension) ? '' : 'none';
+        });
+    }
+
+    // Lays out one axis; false when it can't be read from this angle
+    place(axis, { extensions, line, label }) {
+        const box = this.viewer.modelBounds;
+        const layer = this.layer;
+        const [u, v] = AXES.filter((other) => other !== axis);
+        const { start, end, a, b } = this;
+
+        // Of the four box edges along the axis, the one whose middle is furthest
+        // from the centre on screen is on the outline
+        let best = null;
+        [box.min, box.max].forEach((uSide) => [box.min, box.max].forEach((vSide) => {
+            start.copy(box.min);
+            start[u] = uSide[u];
+            start[v] = vSide[v];
+            end.copy(start);
+            end[axis] = box.max[axis];
+            if (!layer.project(start, a) || !layer.project(end, b)) return;
+
+            const score = a.add(b).multiplyScalar(0.5).distanceTo(this.centerPixel);
+            if (!best || score > best.score) best = { score, uSide, vSide };
+        }));
+        if (!best) return false;
+
+        start.copy(box.min);
+        start[u] = best.uSide[u];
+        start[v] = best.vSide[v];
+        end.copy(start);
+        end[axis] = box.max[axis];
+        layer.project(start, a);
+        layer.project(end, b);
+        const edge = this.c.subVectors(b, a);
+        const length = edge.length();
+        if (length < MIN_LENGTH) return false;
+        edge.divideScalar(length);
+
+        // Offset away from the box along u or v, whichever moves furthest across the edge on screen
+        const step = box.getSize(this.point).length() * 0.01;
+        let offset = null;
+        [[u, best.uSide === box.max ? 1 : -1], [v, best.vSide === box.max ? 1 : -1]].forEach(([other, sign]) => {
+            this.point.copy(start);
+            this.point[other] += sign * step;
+            layer.project(this.point, b);
+            const across = Math.abs((b.x - a.x) * edge.y - (b.y - a.y) * edge.x) / step; // px per world unit
+            if (!offset || across > offset.across) offset = { other, sign, across };
+        });
+        if (offset.across < 1e-6) return false;
+
+        this.outward.set(0, 0, 0);
+        this.outward[offset.other] = offset.sign / offset.across; // World length of one pixel across the edge
+
+        // Extension lines from both ends, then the dimension line between them
+        [start, end].forEach((corner, index) => {
+            this.point.copy(corner).addScaledVector(this.outward, EXTENSION_GAP);
+            layer.project(this.point, a);
+            this.point.copy(corner).addScaledVector(this.outward, DIMENSION_OFFSET + EXTENSION_OVERSHOOT);
+            layer.project(this.point, b);
+            setLine(extensions[index], a, b);
+        });
+
+        this.point.copy(start).addScaledVector(this.outward, DIMENSION_OFFSET);
+        layer.project(this.point, a);
+        this.point.copy(end).addScaledVector(this.outward, DIMENSION_OFFSET);
+        layer.project(this.point, b);
+        setLine(line, a, b);
+
+        // Label beside the middle of the line, on the outside
+        this.point.copy(start).addScaledVector(this.outward, DIMENSION_OFFSET + 1);
+        layer.project(this.point, this.c);
+        const side = this.c.sub(a); // Screen direction of the offset
+        const middle = a.add(b).multiplyScalar(0.5);
+        side.normalize().multiplyScalar(LABEL_OFFSET);
+        label.setAttribute('x', (middle.x + side.x).toFixed(1));
+        label.setAttribute('y', (middle.y + side.y).toFixed(1));
+
+        const millimeters = toMillimeters(box.max[axis] - box.min[axis], this.viewer.modelUnit);
+        label.textContent = formatLength(millimeters, this.viewer.units);
+        return true;
+    }
+}
+
+export function setLine(line, a, b) {
+    line.setAttribute('x1', a.x.toFixed(1));
+    line.setAttribute('y1', a.y.toFixed(1));
+    line.setAttribute('x2', b.x.toFixed(1));
+    line.setAttribute('y2', b.y.toFixed(1));
+}
@@ -0,0 +1,94 @@
+// Edge extraction
+//
+// Finds every mesh edge that can ever be drawn and records the normals of the
+// one or two triangles that share it, so crease and silhouette tests can run
+// later per view (on the GPU in line-styles.js, on the CPU for vector export)
+// without rebuilding anything. Coplanar edges (triangulation diagonals) are
+// dropped since they are never creases and never on an outline.
+//
+// Works on plain typed arrays with no three.js dependency.
+//
+// Returns { positions, normalsA, normalsB }: 6 floats per edge (start, end)
+// and 3 per normal. Boundary edges, with only one triangle, get a zero normalsB.
+
+const PRECISION_POINTS = 4; // Vertices closer than 10^-4 units are welded, as in THREE.EdgesGeometry
+const COPLANAR_DOT = 1 - 1e-6;
+
+export function extractEdges(position, index = null) {
+    const precision = Math.pow(10, PRECISION_POINTS);
+    const triangleCount = (index ? index.length : position.length / 3) / 3;
+
+    const vertexHash = (vertex) => {
+        const offset = vertex * 3;
+        return `${Math.round(position[offset] * precision)},${Math.round(position[offset + 1] * precision)},${Math.round(position[offset + 2] * precision)}`;
+    };
+
+    const open = new Map(); // "a_b" -> first triangle's edge, waiting for its neighbour
+    const positions = [];
+    const normalsA = [];
+    const normalsB = [];
+
+    const pushEdge = (start, end, normalA, normalB) => {
+        positions.push(
+            position[start * 3], position[start * 3 + 1], position[start * 3 + 2],
+            position[end * 3], position[end * 3 + 1], position[end * 3 + 2]
+        );
+        normalsA.push(normalA[0], normalA[1], normalA[2]);
+        normalsB.push(normalB[0], normalB[1], normalB[2]);
+    };
+
+    const vertices = [0, 0, 0];
+    const hashes = ['', '', ''];
+
+    for (let triangle = 0; triangle < triangleCount; triangle++) {
+        for (let corner = 0; corner < 3; corner++) {
+            vertices[corner] = index ? index[triangle * 3 + corner] : triangle * 3 + corner;
+            hashes[corner] = vertexHash(vertices[corner]);
+        }
+
+        // Skip triangles that collapse once welded
+        if (hashes[0] === hashes[1] || hashes[1] === hashes[2] || hashes[2] === hashes[0]) continue;
+
+        const normal = faceNormal(position, vertices[0], vertices[1], vertices[2]);
+        if (!normal) continue;
+
+        for (let corner = 0; corner < 3; corner++) {
+            const next = (corner + 1) % 3;
+            const hash = `${hashes[corner]}_${hashes[next]}`;
+            const reverseHash = `${hashes[next]}_${hashes[corner]}`;
+
+            const neighbour = open.get(reverseHash);
+            if (neighbour) {
+                open.delete(reverseHash);
+                const dot = neighbour.normal[0] * normal[0] + neighbour.normal[1] * normal[1] + neighbour.normal[2] * normal[2];
+                if (dot <= COPLANAR_DOT) pushEdge(neighbour.start, neighbour.end, neighbour.normal, normal);
+            } else if (!open.has(hash)) {
+                open.set(hash, { start: vertices[corner], end: vertices[next], normal });
+            }
+        }
+    }
+
+    // Whatever never found a neighbour is an open boundary
+    const none = [0, 0, 0];
+    open.forEach((edge) => pushEdge(edge.start, edge.end, edge.normal, none));
+
+    return {
+        positions: new Float32Array(positions),
+        normalsA: new Float32Array(normalsA),
+        normalsB: new Float32Array(normalsB)
+    };
+}
+
+function faceNormal(position, a, b, c) {
+    const ax = position[a * 3], ay = position[a * 3 + 1], az = position[a * 3 + 2];
+    const abx = position[b * 3] - ax, aby = position[b * 3 + 1] - ay, abz = position[b * 3 + 2] - az;
+    const acx = position[c * 3] - ax, acy = position[c * 3 + 1] - ay, acz = position[c * 3 + 2] - az;
+
+    const x = aby * acz - abz * acy;
+    const y = abz * acx - abx * acz;
+    const z = abx * acy - aby * acx;
+    const length = Math.hypot(x, y, z);
+    if (length === 0) return null;
+
+    return [x / length, y / length, z / length];
+}
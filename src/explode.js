@@ -0,0 +1,90 @@
+import * as THREE from 'three';
+
+// Engineering exploded view
+//
+// Works out a displacement (at explode factor 1) for every component so parts
+// separate along the axes they were assembled on, keeping orientation and scale:
+//
+// - The largest component (enclosure / back plate) stays put. Its thinnest axis
+//   is the mounting normal, pointing away from the back plate.
+// - Mounted parts move out along that normal, further the higher they sit, so
+//   breakers and terminal blocks lift off the DIN rail they clip onto.
+// - Parts on a side wall of the base move out through that wall.
+// - A glTF extra `explode: [x, y, z]` on a node overrides the heuristic
+//   (model units, full displacement at factor 1).
+
+const WALL_BAND = 0.05; // Fraction of the base size that counts as "on a wall"
+const CLEARANCE = 1.2; // Baseline lift, in base depths, so parts clear the enclosure
+const STACK_SPREAD = 6; // Extra lift per unit of mounting height
+
+const AXES = ['x', 'y', 'z'];
+
+// The base component (largest first) and its mounting normal: the thinnest axis,
+// pointing away from the back plate, which is the face the mounted parts sit closest to.
+// Returns { base, axis, normal, backFace }; also used for the interior camera view.
+export function findMountingPlane(components, boxes) {
+    const base = components[0];
+    const baseBox = boxes.get(base);
+    const baseSize = baseBox.getSize(new THREE.Vector3());
+    const baseCenter = baseBox.getCenter(new THREE.Vector3());
+
+    const axis = AXES.reduce((thinnest, candidate) => baseSize[candidate] < baseSize[thinnest] ? candidate : thinnest, 'x');
+
+    const others = components.slice(1);
+    const meanHeight = others.length > 0
+        ? others.reduce((sum, component) => sum + boxes.get(component).getCenter(new THREE.Vector3())[axis], 0) / others.length
+        : baseCenter[axis];
+    const sign = meanHeight - baseBox.min[axis] <= baseBox.max[axis] - meanHeight ? 1 : -1;
+
+    const normal = new THREE.Vector3();
+    normal[axis] = sign;
+
+    return { base, axis, normal, backFace: sign > 0 ? baseBox.min[axis] : baseBox.max[axis] };
+}
+
+export function computeExplodeOffsets(components, boxes) {
+    const offsets = new Map();
+    if (components.length === 0) return offsets;
+
+    const { base, axis: normalAxis, normal, backFace } = findMountingPlane(components, boxes);
+    const baseBox = boxes.get(base);
+    const baseSize = baseBox.getSize(new THREE.Vector3());
+    const baseCenter = baseBox.getCenter(new THREE.Vector3());
+    const others = components.slice(1);
+
+    offsets.set(base, new THREE.Vector3());
+
+    others.forEach((component) => {
+        // Per-part vector from the model wins
+        const explicit = component.userData.explode;
+        if (Array.isArray(explicit) && explicit.length === 3) {
+            offsets.set(component, new THREE.Vector3().fromArray(explicit));
+            return;
+        }
+
+        const center = boxes.get(component).getCenter(new THREE.Vector3());
+
+        // Side-wall parts (switch handles, glands) leave through their wall
+        for (const axis of AXES) {
+            if (axis === normalAxis) continue;
+
+            const band = baseSize[axis] * WALL_BAND;
+            const wallSign = center[axis] - baseBox.min[axis] < band ? -1
+                : baseBox.max[axis] - center[axis] < band ? 1 : 0;
+
+            if (wallSign !== 0) {
+                const offset = new THREE.Vector3();
+                offset[axis] = wallSign * (baseSize[normalAxis] * CLEARANCE + Math.abs(center[axis] - baseCenter[axis]) * 0.5);
+                offsets.set(component, offset);
+                return;
+            }
+        }
+
+        // Mounted parts lift off the back plate, higher parts further
+        const height = Math.abs(center[normalAxis] - backFace);
+        const lift = baseSize[normalAxis] * CLEARANCE + height * STACK_SPREAD;
+        offsets.set(component, normal.clone().multiplyScalar(lift));
+    });
+
+    return offsets;
+}
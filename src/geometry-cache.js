@@ -0,0 +1,71 @@
+// IndexedDB cache for processed geometry
+//
+// Keyed by a SHA-256 of the model file plus the processing settings, so a repeat
+// visit skips edge extraction and decimation entirely. Every failure (no
+// IndexedDB, private browsing, quota, insecure context without crypto.subtle)
+// just means a cache miss.
+
+const DB_NAME = 'blitzpanel-geometry';
+const STORE = 'models';
+const MAX_ENTRIES = 10; // Oldest models are evicted past this
+
+let dbPromise = null;
+
+function openDatabase() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, 1);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(STORE, { keyPath: 'key' });
+                store.createIndex('savedAt', 'savedAt');
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        // Let a later call try again
+        dbPromise.catch(() => { dbPromise = null; });
+    }
+    return dbPromise;
+}
+
+function requestResult(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+export async function hashBuffer(buffer) {
+    if (!globalThis.crypto || !crypto.subtle) return null;
+    const digest = await crypto.subtle.digest('SHA-256', buffer);
+    return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+export async function readCache(key) {
+    try {
+        const db = await openDatabase();
+        const entry = await requestResult(db.transaction(STORE).objectStore(STORE).get(key));
+        return entry ? entry.value : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+export async function writeCache(key, value) {
+    try {
+        const db = await openDatabase();
+        const store = db.transaction(STORE, 'readwrite').objectStore(STORE);
+        await requestResult(store.put({ key, savedAt: Date.now(), value }));
+
+        // Evict the oldest entries
+        const keys = await requestResult(
+            db.transaction(STORE).objectStore(STORE).index('savedAt').getAllKeys()
+        );
+        if (keys.length > MAX_ENTRIES) {
+            const evict = db.transaction(STORE, 'readwrite').objectStore(STORE);
+            keys.slice(0, keys.length - MAX_ENTRIES).forEach((oldKey) => evict.delete(oldKey));
+        }
+    } catch (error) {
+        console.warn('Could not cache processed geometry:', error);
+    }
+}
@@ -0,0 +1,21 @@
+// Geometry processing worker
+//
+// Runs mesh-processing.js (edge extraction, bounds, LOD decimation) off the main
+// thread. Loaded as a module worker; import maps don't reach workers, so the
+// simplifier is imported by its full CDN URL (same version as the page's map).
+
+import { MeshoptSimplifier } from 'https://cdn.jsdelivr.net/npm/meshoptimizer@0.20.0/meshopt_simplifier.module.js';
+import { processMesh, resultTransferables } from './mesh-processing.js';
+
+self.onmessage = async (event) => {
+    const { id, position, index, lod } = event.data;
+
+    try {
+        if (MeshoptSimplifier.supported) await MeshoptSimplifier.ready;
+
+        const result = processMesh(position, index, lod, MeshoptSimplifier);
+        self.postMessage({ id, type: 'done', result }, resultTransferables(result));
+    } catch (error) {
+        self.postMessage({ id, type: 'error', message: error.message || String(error) });
+    }
+};
@@ -0,0 +1,324 @@
+import * as THREE from 'three';
+import { LineMaterial } from 'three/addons/lines/LineMaterial.js';
+import { LineSegmentsGeometry } from 'three/addons/lines/LineSegmentsGeometry.js';
+
+// Technical-drawing line styles
+//
+// Edges are drawn as screen-space fat lines (LineSegments2). Each edge carries
+// the normals of its two faces, and the vertex shader sorts it every frame:
+//
+// - outline: the faces point to opposite sides of the view (silhouettes of
+//   curved parts, profile edges) or the edge is an open boundary
+// - interior: a crease sharper than creaseAngle inside the outline
+// - anything else is a smooth edge facing the camera and is not drawn
+//
+// Hidden lines are an optional second pass over the same geometry that only
+// draws where something is in front (GreaterDepth), dashed and faded.
+// All of it is uniforms, so style changes apply without rebuilding geometry.
+//
+// With a partTexture the material draws every instance of a part in one call
+// (see batching.js): each part's world matrix, colour and visibility are
+// texels, and instance i is edge i / parts of part i % parts. That needs
+// WebGL 2 (texelFetch, gl_InstanceID); with partAttributes instead, the same
+// part state comes in as per-instance attributes, which WebGL 1 can draw.
+
+export const DEFAULT_LINE_STYLE = {
+    creaseAngle: 15, // Degrees between faces for an edge to be a crease
+    silhouettes: true, // Follow the outline of curved surfaces
+    outlineWidth: 2, // px, silhouettes and profile edges
+    interiorWidth: 1, // px, creases inside the outline
+    hiddenLines: false, // Dashed lines for edges behind other parts
+    hiddenWidth: 1, // px
+    hiddenOpacity: 0.5,
+    dashSize: 4, // px
+    gapSize: 3 // px
+};
+
+// Texels per part in a partTexture (matrix columns, colour, flags) and parts per row
+export const PART_TEXELS = 6;
+export const PARTS_PER_ROW = 128;
+
+const EDGE_ATTRIBUTES = /* glsl */`
+attribute vec3 instanceNormalA;
+attribute vec3 instanceNormalB;
+
+uniform float creaseCos;
+uniform float outlineWidth;
+uniform float silhouettes;
+
+#ifdef PART_INSTANCING
+varying vec4 vPartColor;
+#ifdef PART_ATTRIBUTES
+attribute vec4 instancePartMatrix0; // World matrix columns
+attribute vec4 instancePartMatrix1;
+attribute vec4 instancePartMatrix2;
+attribute vec4 instancePartMatrix3;
+attribute vec4 instancePartColor;
+attribute vec3 instancePartFlags; // Shown, hidden lines shown, scale
+#else
+attribute vec2 instancePartRange; // First part in partTexture, parts in this batch
+uniform highp sampler2D partTexture;
+#endif
+
+// transpose( inverse( m ) ), which GLSL ES 1.0 doesn't have
+mat3 inverseTranspose( mat3 m ) {
+	return mat3( cross( m[ 1 ], m[ 2 ] ), cross( m[ 2 ], m[ 0 ] ), cross( m[ 0 ], m[ 1 ] ) ) / dot( m[ 0 ], cross( m[ 1 ], m[ 2 ] ) );
+}
+#endif
+`;
+
+const PART_FETCH = /* glsl */`
+// Instanced part: world matrix, colour and flags from partTexture or the
+// instance attributes (see batching.js)
+mat4 partMatrix = mat4( 1.0 );
+mat3 edgeNormalMatrix = normalMatrix;
+float partScale = 1.0;
+bool partHidden = false;
+#ifdef PART_INSTANCING
+#ifdef PART_ATTRIBUTES
+partMatrix = mat4( instancePartMatrix0, instancePartMatrix1, instancePartMatrix2, instancePartMatrix3 );
+vPartColor = instancePartColor;
+vec3 partFlags = instancePartFlags;
+#else
+int part = int( instancePartRange.x ) + gl_InstanceID % int( instancePartRange.y );
+ivec2 partTexel = ivec2( ( part % PARTS_PER_ROW ) * PART_TEXELS, part / PARTS_PER_ROW );
+partMatrix = mat4(
+	texelFetch( partTexture, partTexel, 0 ),
+	texelFetch( partTexture, partTexel + ivec2( 1, 0 ), 0 ),
+	texelFetch( partTexture, partTexel + ivec2( 2, 0 ), 0 ),
+	texelFetch( partTexture, partTexel + ivec2( 3, 0 ), 0 )
+);
+vPartColor = texelFetch( partTexture, partTexel + ivec2( 4, 0 ), 0 );
+vec3 partFlags = texelFetch( partTexture, partTexel + ivec2( 5, 0 ), 0 ).xyz; // shown, hidden lines shown, scale
+#endif
+partScale = partFlags.z;
+#ifdef USE_DASH
+partHidden = partFlags.y < 0.5;
+#else
+partHidden = partFlags.x < 0.5;
+#endif
+if ( ! partHidden ) edgeNormalMatrix = normalMatrix * inverseTranspose( mat3( partMatrix ) );
+#endif
+`;
+
+const PART_COLOR = /* glsl */`
+#ifdef PART_INSTANCING
+diffuseColor.rgb *= vPartColor.rgb;
+alpha *= vPartColor.a;
+#endif
+`;
+
+const EDGE_CLASSIFICATION = /* glsl */`
+// Outline, interior crease or culled smooth edge (see line-styles.js)
+bool edgeBoundary = dot( instanceNormalB, instanceNormalB ) < 0.5;
+vec3 edgeView = ( projectionMatrix[ 2 ][ 3 ] == - 1.0 ) ? - normalize( mix( start.xyz, end.xyz, 0.5 ) ) : vec3( 0.0, 0.0, 1.0 );
+float facingA = dot( normalize( edgeNormalMatrix * instanceNormalA ), edgeView );
+float facingB = edgeBoundary ? facingA : dot( normalize( edgeNormalMatrix * instanceNormalB ), edgeView );
+bool edgeCrease = edgeBoundary || dot( instanceNormalA, instanceNormalB ) < creaseCos;
+bool edgeOutline = edgeBoundary || facingA * facingB <= 0.0;
+bool edgeCulled = partHidden || ! edgeCrease && ( ! edgeOutline || silhouettes < 0.5 );
+float edgeWidth = edgeOutline ? outlineWidth : linewidth;
+`;
+
+export class EdgeLineMaterial extends LineMaterial {
+    constructor(parameters = {}) {
+        const { creaseAngle, outlineWidth, silhouettes, partTexture, partAttributes, ...lineParameters } = parameters;
+        super(lineParameters);
+
+        this.isEdgeLineMaterial = true;
+        this.type = 'EdgeLineMaterial';
+
+        this.uniforms.creaseCos = { value: 0 };
+        this.uniforms.outlineWidth = { value: lineParameters.linewidth ?? 1 };
+        this.uniforms.silhouettes = { value: 1 };
+
+        if (partTexture) {
+            this.uniforms.partTexture = { value: partTexture };
+            Object.assign(this.defines, { PART_INSTANCING: '', PART_TEXELS, PARTS_PER_ROW });
+        } else if (partAttributes) {
+            Object.assign(this.defines, { PART_INSTANCING: '', PART_ATTRIBUTES: '' });
+        }
+
+        this.vertexShader = this.vertexShader
+            .replace('attribute vec3 instanceEnd;', 'attribute vec3 instanceEnd;\n' + EDGE_ATTRIBUTES)
+            .replace('void main() {', 'void main() {\n' + PART_FETCH)
+            .replaceAll('dashScale * instanceDistance', 'dashScale * partScale * instanceDistance')
+            .replace('modelViewMatrix * vec4( instanceStart, 1.0 )', 'modelViewMatrix * partMatrix * vec4( instanceStart, 1.0 )')
+            .replace('vec4 end = modelViewMatrix * vec4( instanceEnd, 1.0 );', 'vec4 end = modelViewMatrix * partMatrix * vec4( instanceEnd, 1.0 );\n' + EDGE_CLASSIFICATION)
+            .replace('offset *= linewidth;', 'offset *= edgeWidth;')
+            .replace('gl_Position = clip;', 'gl_Position = edgeCulled ? vec4( 0.0, 0.0, 2.0, 1.0 ) : clip;');
+
+        this.fragmentShader = this.fragmentShader
+            .replace('uniform float linewidth;', 'uniform float linewidth;\n#ifdef PART_INSTANCING\nvarying vec4 vPartColor;\n#endif')
+            .replace('vec4 diffuseColor = vec4( diffuse, alpha );', 'vec4 diffuseColor = vec4( diffuse, alpha );\n' + PART_COLOR);
+
+        this.creaseAngle = creaseAngle ?? DEFAULT_LINE_STYLE.creaseAngle;
+        if (outlineWidth !== undefined) this.outlineWidth = outlineWidth;
+        if (silhouettes !== undefined) this.silhouettes = silhouettes;
+    }
+
+    get creaseAngle() {
+        return THREE.MathUtils.radToDeg(Math.acos(this.uniforms.creaseCos.value));
+    }
+
+    set creaseAngle(degrees) {
+        this.uniforms.creaseCos.value = Math.cos(THREE.MathUtils.degToRad(degrees));
+    }
+
+    get outlineWidth() {
+        return this.uniforms.outlineWidth.value;
+    }
+
+    set outlineWidth(width) {
+        this.uniforms.outlineWidth.value = width;
+    }
+
+    get silhouettes() {
+        return this.uniforms.silhouettes.value > 0.5;
+    }
+
+    set silhouettes(enabled) {
+        this.uniforms.silhouettes.value = enabled ? 1 : 0;
+    }
+}
+
+// LineSegmentsGeometry with per-edge face normals, from extractEdges output
+// (computed in a worker or read from the cache)
+export function edgeGeometryFromData({ positions, normalsA, normalsB }) {
+    const edges = new LineSegmentsGeometry();
+    edges.setPositions(positions);
+    edges.setAttribute('instanceNormalA', new THREE.InstancedBufferAttribute(normalsA, 3));
+    edges.setAttribute('instanceNormalB', new THREE.InstancedBufferAttribute(normalsB, 3));
+    return edges;
+}
+
+export function floatPositions(attribute) {
+    // Interleaved or quantized (meshopt/Draco) positions are unpacked to plain floats
+    if (attribute.array instanceof Float32Array && !attribute.isInterleavedBufferAttribute && !attribute.normalized) {
+        return attribute.array;
+    }
+
+    const positions = new Float32Array(attribute.count * 3);
+    for (let i = 0; i < attribute.count; i++) {
+        positions[i * 3] = attribute.getX(i);
+        positions[i * 3 + 1] = attribute.getY(i);
+        positions[i * 3 + 2] = attribute.getZ(i);
+    }
+    return positions;
+}
+
+// Shared visible and hidden-line materials for every batch, drawing parts from
+// partTexture, or from instance attributes without one
+export function createEdgeMaterials(style, partTexture = null) {
+    const parts = partTexture ? { partTexture } : { partAttributes: true };
+    const material = new EdgeLineMaterial({
+        ...parts,
+        transparent: true // Ghosted parts fade out; also draws after every occluder
+    });
+
+    const hiddenMaterial = new EdgeLineMaterial({
+        ...parts,
+        dashed: true,
+        transparent: true,
+        depthWrite: false,
+        depthFunc: THREE.GreaterDepth // Only where another surface is in front
+    });
+
+    applyLineStyle(material, hiddenMaterial, style);
+    return { material, hiddenMaterial };
+}
+
+export function applyLineStyle(material, hiddenMaterial, style) {
+    material.creaseAngle = style.creaseAngle;
+    material.silhouettes = style.silhouettes;
+    material.outlineWidth = style.outlineWidth;
+    material.linewidth = style.interiorWidth;
+
+    hiddenMaterial.creaseAngle = style.creaseAngle;
+    hiddenMaterial.silhouettes = style.silhouettes;
+    hiddenMaterial.outlineWidth = style.hiddenWidth;
+    hiddenMaterial.linewidth = style.hiddenWidth;
+    hiddenMaterial.opacity = style.hiddenOpacity;
+    hiddenMaterial.dashSize = style.dashSize;
+    hiddenMaterial.gapSize = style.gapSize;
+    // The picker hides individual parts' hidden lines when ghosting, so the style toggles the material
+    hiddenMaterial.visible = style.hiddenLines;
+}
+
+// Fat-line widths are in pixels and dashes are converted to pixels here, so
+// both need the current viewport and zoom. Perspective dashes are sized at
+// `target`, the orbit target.
+export function updateLineResolution(materials, renderer, camera, target) {
+    const size = renderer.getSize(new THREE.Vector2());
+    const scale = pixelsPerUnit(camera, size.y, camera.position.distanceTo(target));
+
+    materials.forEach((material) => {
+        material.resolution.copy(size);
+        // Per-part scale from geometry units to the world is applied in the shader
+        if (material.dashed) material.dashScale = scale;
+    });
+}
+
+// Screen pixels per world unit; perspective cameras need the distance it is measured at
+export function pixelsPerUnit(camera, viewportHeight, distance) {
+    if (camera.isOrthographicCamera) {
+        return viewportHeight * camera.zoom / (camera.top - camera.bottom);
+    }
+    return viewportHeight / (2 * Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2) * Math.max(distance, 1e-6));
+}
+
+// CPU version of the shader's classification, for vector export.
+// Returns { outline, interior }: flat [x0, y0, z0, x1, y1, z1, ...] arrays in
+// the line's local space.
+export function classifyEdges(line, camera) {
+    const geometry = line.geometry;
+    const material = line.material;
+    const segments = geometry.attributes.instanceStart.data.array; // xyz, xyz per edge
+    const normalsA = geometry.attributes.instanceNormalA.array;
+    const normalsB = geometry.attributes.instanceNormalB.array;
+
+    const creaseCos = material.uniforms.creaseCos.value;
+    const silhouettes = material.silhouettes;
+
+    line.updateWorldMatrix(true, false);
+    const normalMatrix = new THREE.Matrix3().getNormalMatrix(line.matrixWorld);
+    const cameraDirection = camera.getWorldDirection(new THREE.Vector3());
+    const cameraPosition = camera.getWorldPosition(new THREE.Vector3());
+
+    const normalA = new THREE.Vector3();
+    const normalB = new THREE.Vector3();
+    const middle = new THREE.Vector3();
+    const view = new THREE.Vector3().copy(cameraDirection).negate();
+
+    const outline = [];
+    const interior = [];
+
+    for (let edge = 0; edge < normalsA.length / 3; edge++) {
+        const offset = edge * 3;
+        normalA.fromArray(normalsA, offset);
+        normalB.fromArray(normalsB, offset);
+
+        const boundary = normalB.lengthSq() < 0.5;
+        const crease = boundary || normalA.dot(normalB) < creaseCos;
+
+        if (camera.isPerspectiveCamera) {
+            middle.set(
+                (segments[edge * 6] + segments[edge * 6 + 3]) / 2,
+                (segments[edge * 6 + 1] + segments[edge * 6 + 4]) / 2,
+                (segments[edge * 6 + 2] + segments[edge * 6 + 5]) / 2
+            ).applyMatrix4(line.matrixWorld);
+            view.subVectors(cameraPosition, middle).normalize();
+        }
+
+        const facingA = normalA.applyMatrix3(normalMatrix).normalize().dot(view);
+        const facingB = boundary ? facingA : normalB.applyMatrix3(normalMatrix).normalize().dot(view);
+        const isOutline = boundary || facingA * facingB <= 0;
+
+        if (!crease && (!isOutline || !silhouettes)) continue;
+
+        const target = isOutline ? outline : interior;
+        for (let i = 0; i < 6; i++) target.push(segments[edge * 6 + i]);
+    }
+
+    return { outline, interior };
+}
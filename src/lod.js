@@ -0,0 +1,94 @@
+import * as THREE from 'three';
+import { MeshoptSimplifier } from 'meshoptimizer/meshopt_simplifier.module.js';
+import { edgeGeometryFromData, pixelsPerUnit } from './line-styles.js';
+import { processMesh } from './mesh-processing.js';
+
+// Mesh decimation and level of detail
+//
+// Heavy meshes get coarser levels from meshoptimizer's error-bounded edge-collapse
+// simplifier. Its quadric error metric only collapses edges that keep vertices on
+// the surrounding faces, so sharp feature edges survive, and open borders are locked.
+//
+// Every level records its geometric error in the mesh's own units. Each frame the
+// coarsest level whose error stays under `pixelError` on screen is used, measured
+// at the closest copy of each part (zoom for the orthographic camera, distance
+// for perspective), since all copies are drawn together.
+// Levels share the vertex buffers of the original and only add an index.
+// The decimation itself is in mesh-processing.js and normally runs in a worker.
+
+export const DEFAULT_LOD = {
+    enabled: true,
+    minTriangles: 2000, // Meshes smaller than this are always drawn in full
+    pixelError: 0.75, // Largest on-screen deviation allowed, in px
+    levels: [
+        // ratio: target fraction of triangles; error: limit relative to the mesh size
+        { ratio: 0.25, error: 0.002 },
+        { ratio: 0.06, error: 0.01 }
+    ]
+};
+
+// Resolves once the simplifier's WASM is compiled (or straight away without WebAssembly)
+export const simplifierReady = MeshoptSimplifier.supported ? MeshoptSimplifier.ready : Promise.resolve();
+
+// Main-thread fallback when workers aren't available
+export async function processOnMainThread(position, index, lod) {
+    await simplifierReady;
+    return processMesh(position, index, lod, MeshoptSimplifier);
+}
+
+// [{ geometry, edges, error, triangles }] from a processMesh result, full detail first
+export function buildLevels(geometry, processedLevels) {
+    return processedLevels.map((processed) => {
+        let levelGeometry = geometry;
+        if (processed.index) {
+            levelGeometry = new THREE.BufferGeometry();
+            Object.entries(geometry.attributes).forEach(([name, attribute]) => levelGeometry.setAttribute(name, attribute));
+            levelGeometry.setIndex(new THREE.BufferAttribute(processed.index, 1));
+            levelGeometry.boundingBox = geometry.boundingBox;
+            levelGeometry.boundingSphere = geometry.boundingSphere;
+        }
+
+        return {
+            geometry: levelGeometry,
+            edges: edgeGeometryFromData(processed.edges),
+            error: processed.error,
+            triangles: processed.triangles
+        };
+    });
+}
+
+// Swap a batch's occluder and edge lines to another level (see batching.js).
+// entry: { occluder, line, hiddenLine, levels: [{ geometry }], level, edgeGeometry(index) }
+export function setLevel(entry, index) {
+    if (entry.level === index) return;
+    entry.level = index;
+
+    entry.occluder.geometry = entry.levels[index].geometry;
+
+    // Batched edges and their dash distances are only built for levels that get shown
+    const edges = entry.edgeGeometry(index);
+    entry.line.geometry = edges;
+    entry.hiddenLine.geometry = edges;
+}
+
+// Pick each batch's level: the coarsest one that holds up for its closest shown copy
+export function updateLevels(entries, camera, viewportHeight, pixelError) {
+    const position = new THREE.Vector3();
+
+    entries.forEach((entry) => {
+        if (entry.levels.length === 1) return;
+
+        let pixels = 0; // Largest on-screen size of one geometry unit
+        entry.parts.forEach((part) => {
+            if (!part.shown) return;
+            const distance = camera.isPerspectiveCamera
+                ? position.setFromMatrixPosition(part.matrixWorld).distanceTo(camera.position)
+                : 0;
+            pixels = Math.max(pixels, pixelsPerUnit(camera, viewportHeight, distance) * part.unitScale);
+        });
+
+        let index = entry.levels.length - 1;
+        while (index > 0 && entry.levels[index].error * pixels > pixelError) index--;
+        setLevel(entry, index);
+    });
+}
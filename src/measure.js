@@ -0,0 +1,390 @@
+import * as THREE from 'three';
+import { classifyEdges } from './line-styles.js';
+import { formatLength, toMillimeters, setLine } from './dimensions.js';
+
+// Measure tool
+//
+// Click two points on the assembled panel to read the distance between them;
+// before the second click the line follows the pointer. Points snap to the
+// nearest endpoint of the edges drawn for the part under the pointer (the
+// outline and crease edges the shader shows, see classifyEdges), else land on
+// its surface. Between two components the clearance is shown as well: the
+// closest distance between their surfaces where they are now (see surfaceGap),
+// so a part inside the enclosure reads its distance to the nearest wall.
+//
+// Points are kept in their part's own space, so a measurement follows the
+// exploded view. Escape clears the points, then leaves the tool.
+
+const SNAP_DISTANCE = 12; // px from the pointer to an edge endpoint
+const LABEL_OFFSET = 14; // px above the middle of the measured line
+
+export class MeasureTool {
+    constructor(viewer, layer) {
+        this.viewer = viewer;
+        this.layer = layer;
+        this.active = false;
+        this.points = []; // [{ part, entry, local, snapped }], at most two
+        this.hover = null; // Point under the pointer, same shape
+        this.pendingMove = null;
+        this.pointerDown = new THREE.Vector2();
+        this.clearanceCache = null; // { a, b, matrices, gap }, until either component moves
+
+        this.group = layer.create('g', layer.element, 'viewer-measure');
+        this.line = layer.create('line', this.group, 'measure-line');
+        this.markers = [0, 1, 2].map(() => {
+            const marker = layer.create('circle', this.group, 'measure-point');
+            marker.setAttribute('r', '4');
+            return marker;
+        });
+        this.label = layer.create('text', this.group, 'annotation-label');
+        this.distanceText = layer.create('tspan', this.label);
+        this.clearanceText = layer.create('tspan', this.label);
+        this.group.style.display = 'none';
+
+        // Results for screen readers; the SVG itself is hidden from them
+        this.status = document.createElement('p');
+        this.status.className = 'visually-hidden';
+        this.status.setAttribute('aria-live', 'polite');
+        viewer.container.appendChild(this.status);
+
+        this.a = new THREE.Vector2();
+        this.b = new THREE.Vector2();
+
+        this.onPointerDown = this.onPointerDown.bind(this);
+        this.onPointerMove = this.onPointerMove.bind(this);
+        this.onClick = this.onClick.bind(this);
+        this.onKeyDown = this.onKeyDown.bind(this);
+        window.addEventListener('pointerdown', this.onPointerDown);
+        window.addEventListener('pointermove', this.onPointerMove);
+        window.addEventListener('click', this.onClick);
+        window.addEventListener('keydown', this.onKeyDown);
+    }
+
+    setActive(active) {
+        if (active === this.active) return;
+        this.active = active;
+
+        // Clicks place points instead of selecting parts
+        this.viewer.picker.setSuspended(active);
+        if (!active) {
+            this.clear();
+            document.documentElement.style.cursor = '';
+        }
+        this.group.style.display = active ? '' : 'none';
+    }
+
+    clear() {
+        this.points = [];
+        this.hover = null;
+        this.status.textContent = '';
+        this.update();
+    }
+
+    // Snapped (or surface) point under the pointer, or null
+    pointAt(event) {
+        const hit = this.viewer.picker.intersect(event);
+        if (!hit) return null;
+
+        const { part } = hit;
+        const pointer = this.layer.pointer(event, this.a);
+        const vertex = new THREE.Vector3();
+        let nearest = SNAP_DISTANCE;
+        let snapped = null;
+
+        const { outline, interior } = classifyEdges(part, this.viewer.camera);
+        [outline, interior].forEach((positions) => {
+            for (let i = 0; i < positions.length; i += 3) {
+                vertex.fromArray(positions, i).applyMatrix4(part.matrixWorld);
+                if (this.viewer.sections.isClipped(vertex) || !this.layer.project(vertex, this.b)) continue;
+                const distance = this.b.distanceTo(pointer);
+                if (distance < nearest) {
+                    nearest = distance;
+                    snapped = vertex.clone();
+                }
+            }
+        });
+
+        const world = snapped || hit.point;
+        return { part, entry: hit.entry, local: part.worldToLocal(world.clone()), snapped: snapped !== null };
+    }
+
+    onPointerDown(event) {
+        this.pointerDown.set(event.clientX, event.clientY);
+    }
+
+    onPointerMove(event) {
+        if (!this.active) return;
+
+        // Snap at most once per frame
+        const schedule = this.pendingMove === null;
+        this.pendingMove = event;
+        if (!schedule) return;
+
+        requestAnimationFrame(() => {
+            const latest = this.pendingMove;
+            this.pendingMove = null;
+            if (!this.active) return;
+
+            this.hover = this.pointAt(latest);
+            document.documentElement.style.cursor = this.hover ? 'crosshair' : '';
+            this.update();
+        });
+    }
+
+    onClick(event) {
+        if (!this.active) return;
+
+        // The end of an orbit drag is not a point
+        if (this.pointerDown.distanceTo(new THREE.Vector2(event.clientX, event.clientY)) > 4) return;
+
+        const point = this.pointAt(event);
+        if (!point) return;
+
+        // A third click starts the next measurement
+        if (this.points.length === 2) this.points = [];
+        this.points.push(point);
+        this.update();
+
+        if (this.points.length === 2) {
+            const { distance, clearance } = this.measure();
+            const units = this.viewer.units;
+            this.status.textContent = `Distance ${formatLength(distance, units)}`
+                + (clearance === null ? '' : `, clearance ${formatLength(clearance, units)}`);
+            this.viewer.dispatchEvent({ type: 'measure', distance, clearance });
+        }
+    }
+
+    onKeyDown(event) {
+        if (!this.active || event.key !== 'Escape') return;
+        if (this.points.length > 0) {
+            this.clear();
+        } else {
+            this.viewer.setMeasuring(false);
+        }
+    }
+
+    // { distance, clearance } in millimetres between the first point and the
+    // second (or the pointer); clearance is null on a single component
+    measure() {
+        const [first, second = this.hover] = this.points;
+        const from = worldPoint(first);
+        const to = worldPoint(second);
+        const unit = this.viewer.modelUnit;
+
+        const clearance = first.entry === second.entry
+            ? null
+            : toMillimeters(this.clearanceBetween(first.entry, second.entry), unit);
+        return { distance: toMillimeters(from.distanceTo(to), unit), clearance };
+    }
+
+    // Surface gap between two components in model units. It is redrawn every
+    // frame, so it is only worked out again for a new pair or once a part moves.
+    clearanceBetween(a, b) {
+        const parts = [...a.parts, ...b.parts];
+        const cache = this.clearanceCache;
+        const same = cache
+            && ((cache.a === a && cache.b === b) || (cache.a === b && cache.b === a))
+            && parts.every((part, i) => part.matrixWorld.equals(cache.matrices[i]));
+        if (same) return cache.gap;
+
+        const gap = surfaceGap(worldMesh(a), worldMesh(b));
+        this.clearanceCache = { a, b, matrices: parts.map((part) => part.matrixWorld.clone()), gap };
+        return gap;
+    }
+
+    // Redraws from the current camera and part positions; called after every render
+    update() {
+        if (!this.active) return;
+
+        const shown = this.points.length < 2 && this.hover ? [...this.points, this.hover] : this.points;
+        this.markers.forEach((marker, index) => {
+            const point = shown[index];
+            const visible = point && this.layer.project(worldPoint(point), this.a);
+            marker.style.display = visible ? '' : 'none';
+            if (!visible) return;
+            marker.setAttribute('cx', this.a.x.toFixed(1));
+            marker.setAttribute('cy', this.a.y.toFixed(1));
+            marker.classList.toggle('snapped', point.snapped);
+        });
+
+        const measuring = shown.length === 2
+            && this.layer.project(worldPoint(shown[0]), this.a)
+            && this.layer.project(worldPoint(shown[1]), this.b);
+        this.line.style.display = measuring ? '' : 'none';
+        this.label.style.display = measuring ? '' : 'none';
+        if (!measuring) return;
+
+        setLine(this.line, this.a, this.b);
+        const x = ((this.a.x + this.b.x) / 2).toFixed(1);
+        const y = (Math.min(this.a.y, this.b.y) - LABEL_OFFSET).toFixed(1);
+        this.label.setAttribute('x', x);
+        this.label.setAttribute('y', y);
+
+        const { distance, clearance } = this.measure();
+        const units = this.viewer.units;
+        this.distanceText.setAttribute('x', x);
+        this.distanceText.textContent = formatLength(distance, units);
+        this.clearanceText.setAttribute('x', x);
+        this.clearanceText.setAttribute('dy', '1.2em');
+        this.clearanceText.textContent = clearance === null ? '' : `Clearance ${formatLength(clearance, units)}`;
+    }
+
+    dispose() {
+        this.clearanceCache = null;
+        window.removeEventListener('pointerdown', this.onPointerDown);
+        window.removeEventListener('pointermove', this.onPointerMove);
+        window.removeEventListener('click', this.onClick);
+        window.removeEventListener('keydown', this.onKeyDown);
+        this.status.remove();
+    }
+}
+
+function worldPoint({ part, local }) {
+    return part.localToWorld(local.clone());
+}
+
+// A component's full-detail triangles in world space, each with its bounds,
+// plus its vertices and overall bounds
+function worldMesh(entry) {
+    const triangles = [];
+    const vertices = [];
+    const box = new THREE.Box3();
+
+    entry.parts.forEach((part) => {
+        const geometry = part.batch.levels[0].geometry;
+        const position = geometry.attributes.position;
+        const corners = [];
+        for (let i = 0; i < position.count; i++) {
+            const vertex = new THREE.Vector3().fromBufferAttribute(position, i).applyMatrix4(part.matrixWorld);
+            corners.push(vertex);
+            vertices.push(vertex);
+            box.expandByPoint(vertex);
+        }
+
+        const index = geometry.index;
+        const count = index ? index.count : position.count;
+        for (let i = 0; i + 2 < count; i += 3) {
+            const [p, q, r] = [i, i + 1, i + 2].map((j) => corners[index ? index.getX(j) : j]);
+            triangles.push({ triangle: new THREE.Triangle(p, q, r), box: new THREE.Box3().setFromPoints([p, q, r]) });
+        }
+    });
+    return { triangles, vertices, box };
+}
+
+// Closest distance between two meshes' surfaces, 0 when they touch or cut into
+// each other. The nearest points are a vertex of one on a face of the other, or
+// a point on an edge of each; triangles further from the other mesh than the
+// best distance so far are skipped.
+function surfaceGap(a, b) {
+    // The smaller part's vertices first: they're the ones near the other's faces
+    const size = (mesh) => mesh.box.getSize(new THREE.Vector3()).lengthSq();
+    const [small, large] = size(a) <= size(b) ? [a, b] : [b, a];
+    let best = vertexGap(small, large, Infinity);
+    best = vertexGap(large, small, best);
+    return edgeGap(a, b, best);
+}
+
+// Best distance from `from`'s vertices to `to`'s triangles
+function vertexGap(from, to, best) {
+    const near = to.triangles
+        .map((entry) => ({ ...entry, gap: boxGap(entry.box, from.box) }))
+        .sort((x, y) => x.gap - y.gap);
+    const vertices = from.vertices
+        .map((vertex) => ({ vertex, gap: to.box.distanceToPoint(vertex) }))
+        .sort((x, y) => x.gap - y.gap);
+    const closest = new THREE.Vector3();
+
+    // Nearest first, so the best distance drops quickly
+    for (const { vertex, gap: distance } of vertices) {
+        if (distance >= best) break;
+        for (const { triangle, box, gap } of near) {
+            if (gap >= best) break; // Sorted, so the rest are further still
+            if (box.distanceToPoint(vertex) >= best) continue;
+            best = Math.min(best, triangle.closestPointToPoint(vertex, closest).distanceTo(vertex));
+            if (best === 0) return 0;
+        }
+    }
+    return best;
+}
+
+// Best distance between the triangle edges of `a` and `b`; 0 where an edge
+// passes through a face of the other
+function edgeGap(a, b, best) {
+    const nearA = a.triangles.filter(({ box }) => boxGap(box, b.box) < best);
+    const nearB = b.triangles.filter(({ box }) => boxGap(box, a.box) < best);
+
+    for (const first of nearA) {
+        for (const second of nearB) {
+            if (boxGap(first.box, second.box) >= best) continue;
+            if (crosses(first.triangle, second.triangle) || crosses(second.triangle, first.triangle)) return 0;
+            for (const [p1, q1] of triangleEdges(first.triangle)) {
+                for (const [p2, q2] of triangleEdges(second.triangle)) {
+                    best = Math.min(best, segmentGap(p1, q1, p2, q2));
+                }
+            }
+            if (best === 0) return 0;
+        }
+    }
+    return best;
+}
+
+const ray = new THREE.Ray();
+const hit = new THREE.Vector3();
+
+// Whether an edge of `triangle` passes through `other`
+function crosses(triangle, other) {
+    return triangleEdges(triangle).some(([p, q]) => {
+        const length = p.distanceTo(q);
+        if (length === 0) return false;
+        ray.origin.copy(p);
+        ray.direction.subVectors(q, p).divideScalar(length);
+        return ray.intersectTriangle(other.a, other.b, other.c, false, hit) !== null && p.distanceTo(hit) <= length;
+    });
+}
+
+function triangleEdges({ a, b, c }) {
+    return [[a, b], [b, c], [c, a]];
+}
+
+// Closest distance between segments p1-q1 and p2-q2 (Ericson, Real-Time
+// Collision Detection, 5.1.9)
+function segmentGap(p1, q1, p2, q2) {
+    const d1 = q1.clone().sub(p1);
+    const d2 = q2.clone().sub(p2);
+    const r = p1.clone().sub(p2);
+    const a = d1.dot(d1);
+    const e = d2.dot(d2);
+    const f = d2.dot(r);
+    let s = 0;
+    let t = 0;
+
+    if (a <= Number.EPSILON && e <= Number.EPSILON) return p1.distanceTo(p2);
+    if (a <= Number.EPSILON) {
+        t = THREE.MathUtils.clamp(f / e, 0, 1);
+    } else {
+        const c = d1.dot(r);
+        if (e <= Number.EPSILON) {
+            s = THREE.MathUtils.clamp(-c / a, 0, 1);
+        } else {
+            const b = d1.dot(d2);
+            const denom = a * e - b * b;
+            s = denom > 0 ? THREE.MathUtils.clamp((b * f - c * e) / denom, 0, 1) : 0;
+            t = (b * s + f) / e;
+            if (t < 0) {
+                t = 0;
+                s = THREE.MathUtils.clamp(-c / a, 0, 1);
+            } else if (t > 1) {
+                t = 1;
+                s = THREE.MathUtils.clamp((b - c) / a, 0, 1);
+            }
+        }
+    }
+
+    return p1.clone().addScaledVector(d1, s).distanceTo(p2.clone().addScaledVector(d2, t));
+}
+
+// Shortest distance between two boxes, 0 when they touch or overlap
+function boxGap(a, b) {
+    const gap = ['x', 'y', 'z'].map((axis) => Math.max(0, a.min[axis] - b.max[axis], b.min[axis] - a.max[axis]));
+    return Math.hypot(...gap);
+}
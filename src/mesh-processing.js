@@ -0,0 +1,98 @@
+import { extractEdges } from './edges.js';
+
+// Per-geometry preprocessing: bounds, edge data and decimated LOD indices
+//
+// Plain typed arrays in and out with no three.js dependency, so the same code
+// runs in geometry-worker.js, on the main thread as a fallback, and from Node.
+// The simplifier (meshoptimizer's MeshoptSimplifier, already `ready`) is passed
+// in because each environment loads it differently.
+//
+// Result: { bounds: [minX, minY, minZ, maxX, maxY, maxZ], levels: [{ index, error, triangles, edges }] }
+// Level 0 is the mesh as it is (index null); coarser levels carry a new index
+// into the same vertices and their error in the mesh's own units.
+
+// Bump when the output changes so cached results are rebuilt
+export const PROCESSING_VERSION = 1;
+
+const MIN_REDUCTION = 0.75; // A level must drop at least a quarter of the previous level's triangles
+
+export function processMesh(position, index, lod, simplifier) {
+    const triangles = (index ? index.length : position.length / 3) / 3;
+    const levels = [{ index: null, error: 0, triangles, edges: extractEdges(position, index) }];
+
+    if (lod.enabled && simplifier && simplifier.supported && triangles >= lod.minTriangles) {
+        // CAD exports split every face into its own vertices, which the simplifier
+        // treats as seams it can't collapse across. Occluders are flat-shaded, so
+        // the mesh is welded by position and the quadric error keeps creases.
+        const welded = weld(position, index);
+        const scale = simplifier.getScale(welded.position, 3);
+
+        let previousCount = welded.index.length;
+        lod.levels.forEach(({ ratio, error }) => {
+            const target = Math.floor(welded.index.length * ratio / 3) * 3;
+            const [simplified, resultError] = simplifier.simplify(welded.index, welded.position, 3, target, error, ['LockBorder']);
+            if (simplified.length === 0 || simplified.length > previousCount * MIN_REDUCTION) return;
+            previousCount = simplified.length;
+
+            // Back to the original vertices, so levels share the mesh's buffers
+            simplified.forEach((vertex, i) => { simplified[i] = welded.original[vertex]; });
+
+            levels.push({
+                index: simplified,
+                error: resultError * scale,
+                triangles: simplified.length / 3,
+                edges: extractEdges(position, simplified)
+            });
+        });
+    }
+
+    return { bounds: computeBounds(position), levels };
+}
+
+// Buffers a processMesh result can hand over to another thread
+export function resultTransferables(result) {
+    const buffers = [];
+    result.levels.forEach((level) => {
+        if (level.index) buffers.push(level.index.buffer);
+        buffers.push(level.edges.positions.buffer, level.edges.normalsA.buffer, level.edges.normalsB.buffer);
+    });
+    return buffers;
+}
+
+function computeBounds(position) {
+    const bounds = [Infinity, Infinity, Infinity, -Infinity, -Infinity, -Infinity];
+    for (let i = 0; i < position.length; i += 3) {
+        for (let axis = 0; axis < 3; axis++) {
+            const value = position[i + axis];
+            if (value < bounds[axis]) bounds[axis] = value;
+            if (value > bounds[axis + 3]) bounds[axis + 3] = value;
+        }
+    }
+    return bounds;
+}
+
+// Compact mesh with one vertex per distinct position (the simplifier treats
+// unreferenced duplicates as seams too); original[] maps back to the input vertices
+function weld(position, index) {
+    const vertexCount = position.length / 3;
+    const compact = new Map(); // Exact position -> compact vertex
+    const remap = new Uint32Array(vertexCount);
+    const original = [];
+    for (let vertex = 0; vertex < vertexCount; vertex++) {
+        const key = `${position[vertex * 3]},${position[vertex * 3 + 1]},${position[vertex * 3 + 2]}`;
+        if (!compact.has(key)) {
+            compact.set(key, original.length);
+            original.push(vertex);
+        }
+        remap[vertex] = compact.get(key);
+    }
+
+    const weldedPosition = new Float32Array(original.length * 3);
+    original.forEach((vertex, i) => weldedPosition.set(position.subarray(vertex * 3, vertex * 3 + 3), i * 3));
+
+    return {
+        position: weldedPosition,
+        index: index ? Uint32Array.from(index, (vertex) => remap[vertex]) : remap,
+        original: Uint32Array.from(original)
+    };
+}
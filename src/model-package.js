@@ -0,0 +1,101 @@
+import * as THREE from 'three';
+import { buildLevels } from './lod.js';
+
+// Preprocessed model packages
+//
+// tools/package-model.mjs turns a GLB into a folder the viewer can show without
+// any geometry work of its own:
+//
+//   manifest.json  components (names, bounds, sizes, assembly order), the
+//                  grouping report and where each mesh's data lives
+//   model.glb      one node per component with its meshes underneath, dropped
+//                  and ignored parts removed, compressed with EXT_meshopt_compression.
+//                  Edge buffers and LOD indices are extra buffer views in the same file
+//
+// Point modelUrl at the manifest to load one.
+
+export const PACKAGE_FORMAT = 'blitzpanel-package';
+export const PACKAGE_VERSION = 1;
+
+export function isPackageUrl(url) {
+    return /\.json$/i.test(url.split(/[?#]/)[0]);
+}
+
+export async function loadPackageManifest(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Package manifest ${url} returned ${response.status}`);
+    }
+
+    const manifest = await response.json();
+    if (manifest.format !== PACKAGE_FORMAT) {
+        throw new Error(`${url} is not a model package`);
+    }
+    if (manifest.version > PACKAGE_VERSION) {
+        throw new Error(`Package version ${manifest.version} needs a newer viewer (supports ${PACKAGE_VERSION})`);
+    }
+    return manifest;
+}
+
+// Rebuild what detectComponents and prepareGeometry would have produced from
+// the parsed package GLB. Returns { model, prepared, detected }.
+export async function readPackage(gltf, manifest) {
+    const parser = gltf.parser;
+    const model = gltf.scene;
+    model.updateMatrixWorld(true);
+
+    // Empty arrays (a mesh with no drawable edges) have no buffer view
+    const view = (index, ArrayType) => index === null
+        ? Promise.resolve(new ArrayType(0))
+        : parser.getDependency('bufferView', index).then((buffer) => new ArrayType(buffer));
+
+    // Geometries are one per glTF mesh; instances share them
+    const geometries = new Map();
+    model.traverse((child) => {
+        if (!child.isMesh) return;
+        const { meshes } = parser.associations.get(child);
+        geometries.set(child.geometry, manifest.geometries[meshes]);
+    });
+
+    const prepared = new Map();
+    await Promise.all(Array.from(geometries, async ([geometry, entry]) => {
+        const levels = await Promise.all(entry.levels.map(async (level) => ({
+            index: level.index === null ? null : await view(level.index, level.indexType === 'uint16' ? Uint16Array : Uint32Array),
+            error: level.error,
+            triangles: level.triangles,
+            edges: {
+                positions: await view(level.edges.positions, Float32Array),
+                normalsA: await view(level.edges.normalsA, Float32Array),
+                normalsB: await view(level.edges.normalsB, Float32Array)
+            }
+        })));
+
+        geometry.boundingBox = new THREE.Box3().setFromArray(entry.bounds);
+        prepared.set(geometry, buildLevels(geometry, levels));
+    }));
+
+    // Top-level nodes are the components, in manifest order
+    const components = manifest.components.map((component, i) => {
+        const node = model.children[i];
+        const meshes = [];
+        node.traverse((child) => {
+            if (child.isMesh) meshes.push(child);
+        });
+
+        return {
+            node,
+            meshes,
+            box: new THREE.Box3().setFromArray(component.bounds),
+            size: component.size,
+            mergedNames: component.mergedParts
+        };
+    });
+
+    const detected = {
+        components,
+        bounds: new THREE.Box3().setFromArray(manifest.bounds),
+        report: manifest.report
+    };
+
+    return { model, prepared, detected };
+}
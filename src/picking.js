@@ -0,0 +1,339 @@
+import * as THREE from 'three';
+
+// Component picking
+//
+// Raycasts against each part's occluder geometry at its own world matrix,
+// since parts are drawn instanced (see batching.js). Hovering a component
+// highlights its edge lines; clicking opens a panel with the node
+// name and glTF extras (manufacturer, part number, rating...) and buttons to
+// isolate the part or ghost everything else. Wires drawn over the parts take
+// the hover first (see wiring.js). A parts-list row highlights every instance
+// of its part at once (see bom.js).
+//
+// The animation container ignores pointer events so the hero copy stays
+// clickable, so events are read from the window and mapped onto the canvas.
+
+export const GHOST_OPACITY = 0.12;
+
+// Page elements that keep their own pointer behaviour
+const INTERACTIVE_SELECTOR = 'a, button, input, select, textarea, summary, label, .part-panel, .bom-panel, .diff-panel';
+
+// userData keys that are bookkeeping rather than part information
+export const HIDDEN_KEYS = ['name', 'mergedParts'];
+
+export class ComponentPicker {
+    constructor(viewer) {
+        this.viewer = viewer;
+        this.raycaster = new THREE.Raycaster();
+        this.pointer = new THREE.Vector2();
+
+        this.enabled = false;
+        this.suspended = false; // Another tool (measuring) has the pointer
+        this.entries = new Map(); // component group -> componentGroups entry
+        this.parts = [];
+        this.probe = new THREE.Mesh(undefined, new THREE.MeshBasicMaterial({ side: THREE.DoubleSide }));
+        this.hovered = null;
+        this.selected = null;
+        this.highlighted = new Set(); // Entries of the selected parts-list row
+        this.viewMode = 'all'; // 'all' | 'isolate' | 'ghost'
+        this.pendingMove = null;
+        this.pointerDown = new THREE.Vector2();
+
+        this.panel = this.createPanel();
+
+        this.onPointerDown = this.onPointerDown.bind(this);
+        this.onPointerMove = this.onPointerMove.bind(this);
+        this.onClick = this.onClick.bind(this);
+        this.onKeyDown = this.onKeyDown.bind(this);
+        window.addEventListener('pointerdown', this.onPointerDown);
+        window.addEventListener('pointermove', this.onPointerMove);
+        window.addEventListener('click', this.onClick);
+        window.addEventListener('keydown', this.onKeyDown);
+    }
+
+    setEnabled(enabled) {
+        if (enabled === this.enabled) return;
+        this.enabled = enabled;
+
+        if (enabled) {
+            this.collectParts();
+        } else {
+            // Disassembling: drop hover/selection and bring everything back
+            this.setHovered(null);
+            this.viewer.wiring.setHovered(null);
+            this.select(null);
+        }
+    }
+
+    // The measure tool takes over the pointer; the selection and view mode stay
+    setSuspended(suspended) {
+        this.suspended = suspended;
+        if (suspended) {
+            this.setHovered(null);
+            this.viewer.wiring.setHovered(null);
+        }
+    }
+
+    collectParts() {
+        this.entries.clear();
+        this.parts = [];
+        this.viewer.componentGroups.forEach((entry) => {
+            this.entries.set(entry.group, entry);
+            this.parts.push(...entry.parts);
+        });
+    }
+
+    updatePointer(event) {
+        // Returns false when the pointer is outside the canvas
+        const rect = this.viewer.renderer.domElement.getBoundingClientRect();
+        const x = event.clientX - rect.left;
+        const y = event.clientY - rect.top;
+        if (x < 0 || y < 0 || x > rect.width || y > rect.height) return false;
+
+        this.pointer.set((x / rect.width) * 2 - 1, -(y / rect.height) * 2 + 1);
+        return true;
+    }
+
+    pick(event) {
+        if (!this.enabled) return null;
+        const hit = this.intersect(event);
+        return hit ? hit.entry : null;
+    }
+
+    // Pointer over the canvas and not over page content on top of it
+    onCanvas(event) {
+        if (!this.updatePointer(event)) return false;
+        return !(event.target instanceof Element && event.target.closest(INTERACTIVE_SELECTOR));
+    }
+
+    // Nearest shown part under the pointer: { part, entry, point (world), distance }, or null
+    intersect(event) {
+        if (!this.onCanvas(event)) return null;
+
+        this.raycaster.setFromCamera(this.pointer, this.viewer.camera);
+
+        // Isolated view only picks what is visible; ghosted parts can still be picked
+        let nearest = null;
+        const hits = [];
+        this.parts.forEach((part) => {
+            if (!part.shown) return;
+            this.probe.geometry = part.batch.levels[0].geometry;
+            this.probe.matrixWorld.copy(part.matrixWorld);
+
+            hits.length = 0;
+            this.probe.raycast(this.raycaster, hits);
+            hits.forEach((hit) => {
+                if (this.viewer.sections.isClipped(hit.point)) return; // Cut away by a section plane
+                if (!nearest || hit.distance < nearest.distance) nearest = { distance: hit.distance, point: hit.point, part };
+            });
+        });
+        if (nearest) nearest.entry = this.entries.get(nearest.part.parent);
+        return nearest;
+    }
+
+    onPointerMove(event) {
+        if (!this.enabled || this.suspended) return;
+
+        // Raycast at most once per frame
+        const schedule = this.pendingMove === null;
+        this.pendingMove = event;
+        if (!schedule) return;
+
+        requestAnimationFrame(() => {
+            const latest = this.pendingMove;
+            this.pendingMove = null;
+            if (!this.enabled || this.suspended) return;
+
+            const wire = this.onCanvas(latest) ? this.viewer.wiring.wireAt(latest) : null;
+            this.viewer.wiring.setHovered(wire);
+            this.setHovered(wire ? null : this.pick(latest));
+        });
+    }
+
+    onPointerDown(event) {
+        this.pointerDown.set(event.clientX, event.clientY);
+    }
+
+    onClick(event) {
+        if (!this.enabled || this.suspended) return;
+        if (event.target instanceof Element && event.target.closest('.part-panel, .bom-panel, .diff-panel')) return;
+
+        // The end of an orbit drag is not a pick
+        if (this.pointerDown.distanceTo(new THREE.Vector2(event.clientX, event.clientY)) > 4) return;
+
+        const entry = this.pick(event);
+        // Clicks on page content outside the canvas leave the selection alone
+        if (!entry && !this.updatePointer(event)) return;
+        this.select(entry);
+    }
+
+    onKeyDown(event) {
+        if (event.key === 'Escape' && (this.selected || this.highlighted.size > 0) && !this.suspended) this.select(null);
+    }
+
+    setHovered(entry) {
+        if (entry === this.hovered) return;
+
+        const previous = this.hovered;
+        this.hovered = entry;
+        if (previous) this.applyEdgeColor(previous);
+        if (entry) this.applyEdgeColor(entry);
+
+        document.documentElement.style.cursor = entry ? 'pointer' : '';
+    }
+
+    select(entry) {
+        const previous = this.selected;
+        this.selected = entry;
+        if (previous) this.applyEdgeColor(previous);
+        const cleared = this.highlighted.size > 0;
+        this.highlight([]);
+
+        if (entry) {
+            this.applyEdgeColor(entry);
+            this.showPanel(entry);
+            // Keep the current isolate/ghost mode, now centred on the new part
+            this.applyViewMode();
+        } else {
+            this.hidePanel();
+            this.setViewMode('all');
+        }
+        if (entry !== previous || cleared) this.viewer.dispatchEvent({ type: 'select', component: entry ? entry.group : null });
+    }
+
+    // Every instance of a part, in the selection colour; select() clears them
+    highlight(entries) {
+        const previous = this.highlighted;
+        this.highlighted = new Set(entries);
+        previous.forEach((entry) => this.applyEdgeColor(entry));
+        this.highlighted.forEach((entry) => this.applyEdgeColor(entry));
+    }
+
+    applyEdgeColor(entry) {
+        entry.parts.forEach((part) => {
+            let color = part.baseColor;
+            if (entry === this.selected || this.highlighted.has(entry)) color = this.viewer.theme.highlight;
+            else if (entry === this.hovered) color = this.viewer.theme.hover;
+            part.color.setHex(color);
+        });
+        this.viewer.requestRender();
+    }
+
+    setViewMode(mode) {
+        this.viewMode = mode;
+        this.applyViewMode();
+        this.updatePanelButtons();
+    }
+
+    applyViewMode() {
+        const mode = this.selected ? this.viewMode : 'all';
+
+        this.viewer.componentGroups.forEach((entry) => {
+            const focused = entry === this.selected;
+
+            entry.group.visible = mode !== 'isolate' || focused;
+
+            const ghosted = mode === 'ghost' && !focused;
+            entry.parts.forEach((part) => {
+                part.opacity = ghosted ? GHOST_OPACITY : 1;
+                // Hidden lines of a see-through part would only add noise
+                part.showHiddenLines = !ghosted;
+                // Ghosted parts stop hiding the focused part's lines
+                part.occludes = !ghosted;
+            });
+        });
+        this.viewer.requestRender();
+    }
+
+    createPanel() {
+        const panel = document.createElement('aside');
+        panel.className = 'part-panel';
+        panel.hidden = true;
+        panel.innerHTML = `
+            <button type="button" class="part-panel-close" aria-label="Close">&times;</button>
+            <h3 class="part-panel-name"></h3>
+            <dl class="part-panel-details"></dl>
+            <div class="part-panel-actions">
+                <button type="button" data-mode="isolate">Isolate</button>
+                <button type="button" data-mode="ghost">Ghost others</button>
+                <button type="button" data-mode="all">Show all</button>
+            </div>
+        `;
+
+        panel.querySelector('.part-panel-close').addEventListener('click', () => this.select(null));
+        panel.querySelectorAll('[data-mode]').forEach((button) => {
+            button.addEventListener('click', () => this.setViewMode(button.dataset.mode));
+        });
+
+        this.viewer.overlayElement.appendChild(panel);
+
+        return panel;
+    }
+
+    showPanel(entry) {
+        const { group } = entry;
+        this.panel.querySelector('.part-panel-name').textContent = group.userData.name || group.name || 'Unnamed part';
+
+        const details = this.panel.querySelector('.part-panel-details');
+        details.replaceChildren();
+
+        const addRow = (label, value) => {
+            const term = document.createElement('dt');
+            term.textContent = label;
+            const description = document.createElement('dd');
+            description.textContent = value;
+            details.append(term, description);
+        };
+
+        Object.entries(group.userData)
+            .filter(([key]) => !HIDDEN_KEYS.includes(key))
+            .forEach(([key, value]) => addRow(formatLabel(key), formatValue(value)));
+
+        if (group.userData.mergedParts) {
+            addRow('Includes', group.userData.mergedParts.join(', '));
+        }
+
+        if (details.children.length === 0) {
+            addRow('Details', 'No part data in model');
+        }
+
+        this.panel.hidden = false;
+        this.updatePanelButtons();
+    }
+
+    hidePanel() {
+        this.panel.hidden = true;
+    }
+
+    updatePanelButtons() {
+        this.panel.querySelectorAll('[data-mode]').forEach((button) => {
+            button.setAttribute('aria-pressed', String(button.dataset.mode === this.viewMode));
+        });
+    }
+
+    dispose() {
+        window.removeEventListener('pointerdown', this.onPointerDown);
+        window.removeEventListener('pointermove', this.onPointerMove);
+        window.removeEventListener('click', this.onClick);
+        window.removeEventListener('keydown', this.onKeyDown);
+        document.documentElement.style.cursor = '';
+        this.probe.material.dispose();
+        this.panel.remove();
+    }
+}
+
+// partNumber / part_number -> Part number
+export function formatLabel(key) {
+    const words = key
+        .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+        .replace(/[_-]+/g, ' ')
+        .trim()
+        .toLowerCase();
+    return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+export function formatValue(value) {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+}
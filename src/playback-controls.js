@@ -0,0 +1,104 @@
+// Playback control bar
+//
+// Play/pause, a timeline scrubber, speed, replay, disassemble (the run in
+// reverse), an auto-rotate toggle and, with a sequence, the way into
+// work-instruction mode, under the hero. The bar only calls the viewer's
+// playback API and redraws from its 'playbackchange' and 'timeupdate' events,
+// so it stays in step however playback changes: autoplay, scroll scrubbing,
+// orbiting, the keyboard or calls from the page.
+
+export const PLAYBACK_RATES = [0.5, 1, 2];
+
+export class PlaybackControls {
+    constructor(viewer) {
+        this.viewer = viewer;
+        this.scrubbing = false; // Dragging the scrubber; its value isn't overwritten meanwhile
+
+        this.element = this.createElement();
+        this.toggleButton = this.element.querySelector('[data-action="toggle"]');
+        this.rotateButton = this.element.querySelector('[data-action="rotate"]');
+        this.stepsButton = this.element.querySelector('[data-action="steps"]');
+        this.scrubber = this.element.querySelector('.playback-scrubber');
+        this.rateSelect = this.element.querySelector('.playback-rate');
+
+        this.update = this.update.bind(this);
+        this.onTimeUpdate = this.onTimeUpdate.bind(this);
+        viewer.addEventListener('playbackchange', this.update);
+        viewer.addEventListener('timeupdate', this.onTimeUpdate);
+        this.update();
+    }
+
+    createElement() {
+        const element = document.createElement('div');
+        element.className = 'viewer-playback';
+        element.setAttribute('role', 'group');
+        element.setAttribute('aria-label', 'Assembly playback');
+        element.hidden = true;
+        element.innerHTML = `
+            <button type="button" data-action="toggle">Play</button>
+            <input type="range" class="playback-scrubber" min="0" max="1" step="0.001" value="0" aria-label="Assembly progress">
+            <select class="playback-rate" aria-label="Speed">
+                ${PLAYBACK_RATES.map((rate) => `<option value="${rate}">${rate}&times;</option>`).join('')}
+            </select>
+            <button type="button" data-action="replay">Replay</button>
+            <button type="button" data-action="disassemble">Disassemble</button>
+            <button type="button" data-action="rotate" aria-pressed="false">Rotate</button>
+            <button type="button" data-action="steps" hidden>Build steps</button>
+        `;
+
+        const viewer = this.viewer;
+        const actions = {
+            toggle: () => viewer.togglePlayback(),
+            replay: () => viewer.replay(),
+            disassemble: () => viewer.disassemble(),
+            rotate: () => viewer.setAutoRotate(!viewer.controls.autoRotate),
+            steps: () => viewer.workInstructions.start()
+        };
+        element.querySelectorAll('[data-action]').forEach((button) => {
+            button.addEventListener('click', actions[button.dataset.action]);
+        });
+
+        const scrubber = element.querySelector('.playback-scrubber');
+        scrubber.addEventListener('input', () => {
+            this.scrubbing = true;
+            viewer.seek(parseFloat(scrubber.value));
+        });
+        scrubber.addEventListener('change', () => {
+            this.scrubbing = false;
+        });
+
+        const rateSelect = element.querySelector('.playback-rate');
+        rateSelect.addEventListener('change', () => viewer.setPlaybackRate(parseFloat(rateSelect.value)));
+
+        viewer.overlayElement.appendChild(element);
+        return element;
+    }
+
+    update() {
+        const viewer = this.viewer;
+        // The instruction panel takes over while steps are shown
+        this.element.hidden = viewer.components.length === 0 || viewer.workInstructions.active;
+        this.stepsButton.hidden = !viewer.sequence;
+
+        const playing = viewer.isAnimating;
+        this.toggleButton.textContent = playing ? 'Pause' : 'Play';
+        this.toggleButton.setAttribute('aria-pressed', String(playing));
+
+        // Auto-rotate can only be switched on once the panel may be orbited
+        this.rotateButton.disabled = !viewer.controls.enableRotate;
+        this.rotateButton.setAttribute('aria-pressed', String(viewer.controls.autoRotate));
+
+        this.rateSelect.value = String(viewer.playbackRate);
+        this.onTimeUpdate({ progress: viewer.currentProgress });
+    }
+
+    onTimeUpdate({ progress }) {
+        if (!this.scrubbing) this.scrubber.value = String(progress);
+    }
+
+    dispose() {
+        this.viewer.removeEventListener('playbackchange', this.update);
+        this.viewer.removeEventListener('timeupdate', this.onTimeUpdate);
+        this.element.remove();
+    }
+}
@@ -0,0 +1,107 @@
+// Adaptive quality
+//
+// Measures the frame rate while the viewer renders continuously (playback,
+// orbiting, auto-rotate) and steps quality down when it stays under `targetFps`,
+// then back up once it holds with room to spare. Each step gives up some
+// sharpness for speed: render resolution (pixel ratio), line detail (a looser
+// LOD pixelError) and, at the bottom, auto-rotate speed. Stopping auto-rotate
+// also lets render-on-demand go idle.
+//
+// A step up that drops straight back down marks its level as too much for this
+// device, so the governor doesn't keep flipping between the two.
+
+export const DEFAULT_QUALITY = {
+    adaptive: true,
+    targetFps: 45,
+    maxPixelRatio: 2 // Never render above this, however dense the display
+};
+
+// Best first. Pixel ratios are capped by the display and maxPixelRatio
+export const QUALITY_LEVELS = [
+    { pixelRatio: 2, pixelErrorScale: 1, autoRotateSpeed: 1 },
+    { pixelRatio: 1.5, pixelErrorScale: 1, autoRotateSpeed: 1 },
+    { pixelRatio: 1.25, pixelErrorScale: 2, autoRotateSpeed: 1 },
+    { pixelRatio: 1, pixelErrorScale: 3, autoRotateSpeed: 0.5 },
+    { pixelRatio: 0.75, pixelErrorScale: 4, autoRotateSpeed: 0 }
+];
+
+const INITIAL_LEVEL = 1; // Also the fixed level when adaptive is off
+const SAMPLE_FRAMES = 30; // Frames per measurement
+const IDLE_GAP = 250; // ms between frames that means rendering stalled, not a slow frame
+const HEADROOM = 1.2; // Stepping up needs targetFps * HEADROOM
+const STEP_UP_AFTER = 4; // Good measurements in a row before stepping up
+
+export class QualityGovernor {
+    constructor(options, onChange) {
+        this.options = { ...DEFAULT_QUALITY, ...options };
+        this.onChange = onChange;
+
+        this.level = INITIAL_LEVEL;
+        this.best = 0; // Highest level still worth trying
+        this.steppedUp = false;
+        this.goodRuns = 0;
+
+        this.lastTime = null;
+        this.frameTotal = 0;
+        this.frameCount = 0;
+    }
+
+    // Settings for the current level
+    get settings() {
+        const level = QUALITY_LEVELS[this.level];
+        const devicePixelRatio = typeof window !== 'undefined' ? window.devicePixelRatio || 1 : 1;
+        return {
+            pixelRatio: Math.min(level.pixelRatio, devicePixelRatio, this.options.maxPixelRatio),
+            pixelErrorScale: level.pixelErrorScale,
+            autoRotateSpeed: level.autoRotateSpeed
+        };
+    }
+
+    // Rendering stopped (nothing moving); the next frame starts a fresh measurement
+    idle() {
+        this.lastTime = null;
+    }
+
+    // Call for each frame of continuous rendering with the requestAnimationFrame timestamp
+    frame(time) {
+        if (!this.options.adaptive) return;
+
+        const gap = this.lastTime === null ? Infinity : time - this.lastTime;
+        this.lastTime = time;
+        if (gap > IDLE_GAP) {
+            // First frame after a pause (or a throttled tab); start a fresh measurement
+            this.frameTotal = 0;
+            this.frameCount = 0;
+            return;
+        }
+
+        this.frameTotal += gap;
+        this.frameCount++;
+        if (this.frameCount < SAMPLE_FRAMES) return;
+
+        const fps = 1000 * this.frameCount / this.frameTotal;
+        this.frameTotal = 0;
+        this.frameCount = 0;
+
+        if (fps < this.options.targetFps) {
+            this.goodRuns = 0;
+            // The level that just failed after a step up isn't tried again
+            if (this.steppedUp) this.best = this.level + 1;
+            this.setLevel(this.level + 1);
+        } else if (fps >= this.options.targetFps * HEADROOM && ++this.goodRuns >= STEP_UP_AFTER) {
+            this.goodRuns = 0;
+            this.setLevel(this.level - 1);
+        } else {
+            this.steppedUp = false;
+        }
+    }
+
+    setLevel(level) {
+        const next = Math.min(Math.max(level, this.best), QUALITY_LEVELS.length - 1);
+        this.steppedUp = next < this.level;
+        if (next === this.level) return;
+
+        this.level = next;
+        this.onChange(this.settings);
+    }
+}
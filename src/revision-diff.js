@@ -0,0 +1,355 @@
+import * as THREE from 'three';
+import { detectComponents } from './components.js';
+import { EASINGS } from './sequence.js';
+import { formatLength, toMillimeters } from './dimensions.js';
+
+// Revision diff
+//
+// Compare mode loads an earlier revision of the panel alongside the current
+// one, through the same pipeline, and shows what changed between the two
+// quotes. Components are matched by name and geometry signature (the vertex
+// and index counts and bounds of each mesh in the component's own frame, which
+// stay the same when the part moves); what is left is matched on the signature
+// alone, nearest first, which catches parts renamed along the way. Then each
+// component is:
+//
+// - added:     only in the current revision
+// - removed:   only in the previous one, drawn where it was
+// - moved:     in both, at another position or angle
+// - unchanged: in both, in the same place
+//
+// A part whose geometry changed under the same name counts as removed and
+// added: it is a different part. Each class has its own edge colour (see
+// changeColor) and the summary panel lists every change. Moved parts can travel
+// back and forth between their old and new positions.
+//
+// Both files need the same origin, as revisions exported from one CAD assembly have.
+
+export const CHANGE_TYPES = ['added', 'removed', 'moved', 'unchanged'];
+const CHANGE_LABELS = { added: 'Added', removed: 'Removed', moved: 'Moved', unchanged: 'Unchanged' };
+
+const TOLERANCE = 1e-4; // Of the model diagonal: signature rounding and the smallest move
+const ANGLE_TOLERANCE = 0.5; // Degrees; smaller turns don't count as moves
+const MOVE_DURATION = 1500; // ms from the old position to the new one
+const MOVE_HOLD = 600; // ms held at either end
+
+// Edge colour of a change: the theme's added, removed and moved colours, the
+// plain edge colour for unchanged parts
+export function changeColor(theme, type) {
+    return type === 'unchanged' ? theme.edge : theme[type];
+}
+
+// Name of a component node as exported
+function componentName(node) {
+    return node.userData.name || node.name;
+}
+
+// Vertex and index counts and bounds of each mesh, in the component's frame and
+// rounded to `quantum`
+export function geometrySignature({ node, meshes }, quantum) {
+    const nodeInverse = node.matrixWorld.clone().invert();
+    const box = new THREE.Box3();
+    const matrix = new THREE.Matrix4();
+
+    return meshes.map((mesh) => {
+        const geometry = mesh.geometry;
+        if (!geometry.boundingBox) geometry.computeBoundingBox();
+        box.copy(geometry.boundingBox).applyMatrix4(matrix.multiplyMatrices(nodeInverse, mesh.matrixWorld));
+
+        const bounds = [...box.min.toArray(), ...box.max.toArray()].map((value) => Math.round(value / quantum));
+        const indices = geometry.index ? geometry.index.count : 0;
+        return `${geometry.attributes.position.count}/${indices}/${bounds.join(',')}`;
+    }).sort().join(' ');
+}
+
+// Both revisions' components in one list for processModel, each with a `change`:
+// { type } plus, for moved parts, { distance, angle, translation, quaternion }
+// (from the new place back to the old one, in world space). `previous` and
+// `current` are { model, prepared, detected }, detected being optional.
+export function compareRevisions(previous, current, grouping) {
+    const [before, after] = [previous, current].map(({ model, detected }) => {
+        model.updateMatrixWorld(true);
+        return detected || detectComponents(model, grouping);
+    });
+
+    const bounds = after.bounds.clone().union(before.bounds);
+    const tolerance = bounds.min.distanceTo(bounds.max) * TOLERANCE;
+
+    const describe = (component) => {
+        const position = new THREE.Vector3();
+        const quaternion = new THREE.Quaternion();
+        component.node.matrixWorld.decompose(position, quaternion, new THREE.Vector3());
+        return {
+            component,
+            name: componentName(component.node),
+            signature: geometrySignature(component, tolerance),
+            position,
+            quaternion
+        };
+    };
+    const oldItems = before.components.map(describe);
+    const newItems = after.components.map(describe);
+
+    // Same name and geometry first, then the same geometry; nearest pairs win
+    const matches = new Map(); // New item -> old item
+    const matched = new Set();
+    [(item) => `${item.name}\n${item.signature}`, (item) => item.signature].forEach((key) => {
+        const candidates = new Map();
+        oldItems.forEach((item) => {
+            if (matched.has(item)) return;
+            const list = candidates.get(key(item)) || [];
+            list.push(item);
+            candidates.set(key(item), list);
+        });
+
+        const pairs = [];
+        newItems.forEach((item) => {
+            if (matches.has(item)) return;
+            (candidates.get(key(item)) || []).forEach((old) => {
+                pairs.push({ item, old, distance: item.position.distanceTo(old.position) });
+            });
+        });
+        pairs.sort((a, b) => a.distance - b.distance).forEach(({ item, old }) => {
+            if (matches.has(item) || matched.has(old)) return;
+            matches.set(item, old);
+            matched.add(old);
+        });
+    });
+
+    const components = newItems.map((item) => {
+        const old = matches.get(item);
+        if (!old) return { ...item.component, change: { type: 'added' } };
+
+        const distance = item.position.distanceTo(old.position);
+        const angle = THREE.MathUtils.radToDeg(item.quaternion.angleTo(old.quaternion));
+        if (distance <= tolerance && angle <= ANGLE_TOLERANCE) return { ...item.component, change: { type: 'unchanged' } };
+
+        return {
+            ...item.component,
+            change: {
+                type: 'moved',
+                distance,
+                angle,
+                translation: old.position.clone().sub(item.position),
+                quaternion: old.quaternion
+            }
+        };
+    });
+    oldItems.forEach((old) => {
+        if (!matched.has(old)) components.push({ ...old.component, change: { type: 'removed' } });
+    });
+
+    // Largest first, like detectComponents; geometry from either file
+    components.sort((a, b) => b.size - a.size);
+    return {
+        prepared: new Map([...previous.prepared, ...current.prepared]),
+        detected: { components, bounds, report: after.report }
+    };
+}
+
+export class RevisionDiff {
+    constructor(viewer) {
+        this.viewer = viewer;
+        this.comparing = false;
+        this.entries = []; // componentGroups entries with a change
+        this.moved = []; // [{ entry, quaternion }]: moved entries with their new orientation
+        this.visible = false;
+        this.animating = false; // Moved parts travel between their positions
+        this.running = false; // Moved parts are off their assembled positions
+        this.animationStart = 0;
+        this.selectedItem = null;
+        this.itemElements = new Map(); // entry -> <li>
+        this.controlElement = null;
+
+        this.panel = this.createPanel();
+        this.legend = this.panel.querySelector('.diff-legend');
+        this.list = this.panel.querySelector('.diff-list');
+        this.animateButton = this.panel.querySelector('[data-action="animate"]');
+
+        // Components picked in the view select their change
+        this.onSelect = this.onSelect.bind(this);
+        viewer.addEventListener('select', this.onSelect);
+    }
+
+    createPanel() {
+        const panel = document.createElement('aside');
+        panel.className = 'diff-panel';
+        panel.setAttribute('aria-label', 'Changes from the previous revision');
+        panel.hidden = true;
+        panel.innerHTML = `
+            <button type="button" class="diff-panel-close" aria-label="Close">&times;</button>
+            <h3 class="diff-panel-title">Changes</h3>
+            <ul class="diff-legend"></ul>
+            <ul class="diff-list" role="listbox" aria-label="Changed parts"></ul>
+            <div class="diff-actions">
+                <button type="button" data-action="animate" aria-pressed="false">Animate moves</button>
+            </div>
+        `;
+
+        panel.querySelector('.diff-panel-close').addEventListener('click', () => this.setVisible(false));
+        panel.querySelector('[data-action="animate"]').addEventListener('click', () => this.setAnimating(!this.animating));
+
+        this.viewer.overlayElement.appendChild(panel);
+        return panel;
+    }
+
+    // Changes toggle for the viewer tools, shown while comparing
+    createControls() {
+        const element = document.createElement('div');
+        element.className = 'diff-control';
+        element.hidden = !this.comparing;
+        element.innerHTML = '<button type="button" aria-pressed="false">Changes</button>';
+        element.querySelector('button').addEventListener('click', () => this.setVisible(!this.visible));
+        this.controlElement = element;
+        return element;
+    }
+
+    setModel(componentGroups) {
+        this.setAnimating(false);
+        this.running = false;
+        this.entries = componentGroups.filter((entry) => entry.change);
+        this.comparing = this.entries.length > 0;
+        this.moved = this.entries
+            .filter(({ change }) => change.type === 'moved')
+            .map((entry) => ({ entry, quaternion: new THREE.Quaternion().setFromEuler(this.viewer.originalRotations.get(entry.group)) }));
+
+        this.render();
+        if (this.controlElement) this.controlElement.hidden = !this.comparing;
+        this.setVisible(this.comparing);
+    }
+
+    setVisible(visible) {
+        this.visible = visible && this.comparing;
+        this.panel.hidden = !this.visible;
+        if (this.controlElement) this.controlElement.querySelector('button').setAttribute('aria-pressed', String(this.visible));
+    }
+
+    setAnimating(animating) {
+        this.animating = animating && this.moved.length > 0;
+        this.animationStart = performance.now();
+        this.animateButton.setAttribute('aria-pressed', String(this.animating));
+        this.viewer.requestRender();
+    }
+
+    render() {
+        const viewer = this.viewer;
+        this.legend.replaceChildren();
+        this.list.replaceChildren();
+        this.itemElements.clear();
+        this.selectedItem = null;
+
+        CHANGE_TYPES.forEach((type) => {
+            const count = this.entries.filter(({ change }) => change.type === type).length;
+            const item = document.createElement('li');
+            item.append(swatch(type), `${CHANGE_LABELS[type]} ${count}`);
+            this.legend.appendChild(item);
+        });
+
+        // Changed parts by class, then name; unchanged ones only count
+        const order = (entry) => CHANGE_TYPES.indexOf(entry.change.type);
+        this.entries
+            .filter(({ change }) => change.type !== 'unchanged')
+            .sort((a, b) => order(a) - order(b) || entryName(a).localeCompare(entryName(b)))
+            .forEach((entry) => {
+                const { change } = entry;
+                const element = document.createElement('li');
+                element.tabIndex = 0;
+                element.setAttribute('role', 'option');
+                element.setAttribute('aria-selected', 'false');
+
+                let detail = CHANGE_LABELS[change.type];
+                if (change.type === 'moved') {
+                    detail += ` ${formatLength(toMillimeters(change.distance, viewer.modelUnit), viewer.units)}`;
+                    if (change.angle > ANGLE_TOLERANCE) detail += `, turned ${change.angle.toFixed(0)}°`;
+                }
+                const name = document.createElement('span');
+                name.className = 'diff-item-name';
+                name.textContent = entryName(entry);
+                const details = document.createElement('span');
+                details.className = 'diff-item-detail';
+                details.textContent = detail;
+                element.append(swatch(change.type), name, details);
+
+                element.addEventListener('click', () => this.select(entry));
+                element.addEventListener('keydown', (event) => {
+                    if (event.key !== 'Enter' && event.key !== ' ') return;
+                    event.preventDefault();
+                    this.select(entry);
+                });
+                this.list.appendChild(element);
+                this.itemElements.set(entry, element);
+            });
+
+        this.animateButton.disabled = this.moved.length === 0;
+        this.setTheme(viewer.theme);
+    }
+
+    setTheme(theme) {
+        this.panel.querySelectorAll('.diff-swatch').forEach((element) => {
+            element.style.backgroundColor = `#${changeColor(theme, element.dataset.change).toString(16).padStart(6, '0')}`;
+        });
+    }
+
+    // Picks the part in the view, with its info panel; only on the assembled panel
+    select(entry) {
+        const picker = this.viewer.picker;
+        if (!picker.enabled) return;
+        picker.select(entry === picker.selected ? null : entry);
+    }
+
+    onSelect({ component }) {
+        const entry = component ? this.entries.find(({ group }) => group === component) : null;
+        if (this.selectedItem) this.selectedItem.setAttribute('aria-selected', 'false');
+        this.selectedItem = (entry && this.itemElements.get(entry)) || null;
+        if (!this.selectedItem) return;
+        this.selectedItem.setAttribute('aria-selected', 'true');
+        if (this.visible) this.selectedItem.scrollIntoView({ block: 'nearest' });
+    }
+
+    // Moves the moved parts between their old and new transforms; true while
+    // they travel (and for the frame that puts them back)
+    update() {
+        const viewer = this.viewer;
+        if (!this.animating || !viewer.picker.enabled || viewer.explodeFactor > 0) {
+            if (!this.running) return false;
+
+            // Back where the timeline puts them
+            this.running = false;
+            viewer.updateAssemblyProgress(viewer.currentProgress);
+            return true;
+        }
+        this.running = true;
+
+        // Hold at the old place, travel to the new one, hold, travel back
+        const half = MOVE_HOLD + MOVE_DURATION;
+        const time = (performance.now() - this.animationStart) % (half * 2);
+        const t = time < half
+            ? THREE.MathUtils.clamp((time - MOVE_HOLD) / MOVE_DURATION, 0, 1)
+            : 1 - THREE.MathUtils.clamp((time - half - MOVE_HOLD) / MOVE_DURATION, 0, 1);
+        const eased = EASINGS.easeInOutCubic(t);
+
+        this.moved.forEach(({ entry, quaternion }) => {
+            const { group, change } = entry;
+            group.position.copy(viewer.originalPositions.get(group)).addScaledVector(change.translation, 1 - eased);
+            group.quaternion.slerpQuaternions(change.quaternion, quaternion, eased);
+        });
+        return true;
+    }
+
+    dispose() {
+        this.viewer.removeEventListener('select', this.onSelect);
+        this.panel.remove();
+    }
+}
+
+function entryName({ group }) {
+    return group.userData.name || group.name || 'Unnamed part';
+}
+
+function swatch(type) {
+    const element = document.createElement('span');
+    element.className = 'diff-swatch';
+    element.dataset.change = type;
+    element.setAttribute('aria-hidden', 'true');
+    return element;
+}
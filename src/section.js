@@ -0,0 +1,487 @@
+import * as THREE from 'three';
+import { pixelsPerUnit } from './line-styles.js';
+
+// Section planes
+//
+// Cuts the panel open to show what the enclosure walls and door hide: three
+// axis-aligned planes plus one free plane, each cutting away the part of the
+// model on one side. The planes clip the occluders and both edge-line passes
+// (the materials every batch shares), and the cut faces are capped with
+// hatching.
+//
+// Caps use the stencil buffer. For each plane, every occluder instance is drawn
+// again, clipped by that plane, into the stencil only, inverting each pixel per
+// surface it crosses: after an odd number of surfaces the plane is inside a
+// solid, so the hatched cap is drawn where the stencil is not zero. Caps are
+// clipped by the other planes, so corners cut by two planes come out right.
+// This needs closed meshes; an open surface (sheet metal modelled as faces)
+// leaves stray hatching along its cut.
+//
+// A plane's position runs 0-1 across the model bounds along its normal. The
+// free plane starts facing the camera; drag its handle to slide it, Shift+drag
+// to tilt it.
+
+export const SECTION_PLANES = ['x', 'y', 'z', 'free'];
+
+const AXIS_NORMALS = {
+    x: new THREE.Vector3(1, 0, 0),
+    y: new THREE.Vector3(0, 1, 0),
+    z: new THREE.Vector3(0, 0, 1)
+};
+const PLANE_LABELS = { x: 'X', y: 'Y', z: 'Z', free: 'Free' };
+const HATCH_SPACING = 8; // px between hatch lines, along the diagonal
+const HATCH_WIDTH = 1; // px
+const HANDLE_RADIUS = 7; // px, free-plane drag handle
+const ARROW_LENGTH = 40; // px, the handle's normal arrow when the plane is seen edge-on
+const TILT_SPEED = 0.01; // Radians per px of Shift+drag
+
+const HATCH_VERTEX = /* glsl */`
+#include <clipping_planes_pars_vertex>
+
+void main() {
+	vec4 mvPosition = modelViewMatrix * vec4( position, 1.0 );
+	gl_Position = projectionMatrix * mvPosition;
+	#include <clipping_planes_vertex>
+}
+`;
+
+const HATCH_FRAGMENT = /* glsl */`
+uniform vec3 fillColor;
+uniform vec3 hatchColor;
+uniform float hatchSpacing;
+uniform float hatchWidth;
+
+#include <clipping_planes_pars_fragment>
+
+void main() {
+	#include <clipping_planes_fragment>
+
+	// 45 degree lines fixed to the screen, like hatching on a drawing
+	float offset = mod( gl_FragCoord.x + gl_FragCoord.y, hatchSpacing );
+	float line = 1.0 - smoothstep( hatchWidth, hatchWidth + 1.0, min( offset, hatchSpacing - offset ) );
+	gl_FragColor = vec4( mix( fillColor, hatchColor, line ), 1.0 );
+
+	#include <colorspace_fragment>
+}
+`;
+
+export class SectionPlanes {
+    // initial: { x: position | true, ... } planes to start with (the sections option)
+    constructor(viewer, initial = {}) {
+        this.viewer = viewer;
+        this.partBatches = null;
+
+        this.root = new THREE.Group();
+        this.root.name = 'Section planes';
+        viewer.scene.add(this.root);
+
+        this.uniforms = {
+            fillColor: { value: new THREE.Color() },
+            hatchColor: { value: new THREE.Color() },
+            hatchSpacing: { value: HATCH_SPACING },
+            hatchWidth: { value: HATCH_WIDTH }
+        };
+        this.capGeometry = new THREE.PlaneGeometry(1, 1);
+        this.sections = SECTION_PLANES.map((name, index) => this.createSection(name, index));
+        this.free = this.sections[3];
+        this.current = this.sections[0]; // What the position slider and Flip act on
+
+        // Outline of the free plane, so it can be seen where it cuts nothing
+        const outlineGeometry = new THREE.BufferGeometry();
+        outlineGeometry.setAttribute('position', new THREE.Float32BufferAttribute([
+            -0.5, -0.5, 0, 0.5, -0.5, 0, 0.5, -0.5, 0, 0.5, 0.5, 0,
+            0.5, 0.5, 0, -0.5, 0.5, 0, -0.5, 0.5, 0, -0.5, -0.5, 0
+        ], 3));
+        this.outline = new THREE.LineSegments(outlineGeometry, new THREE.LineBasicMaterial({
+            transparent: true,
+            opacity: 0.6,
+            depthTest: false
+        }));
+        this.outline.visible = false;
+        this.outline.renderOrder = SECTION_PLANES.length + 1;
+        this.root.add(this.outline);
+
+        // Drag handle of the free plane, in the annotation layer
+        const layer = viewer.annotationLayer;
+        this.handle = layer.create('g', layer.element, 'section-handle');
+        this.handleArrow = layer.create('line', this.handle);
+        this.handleArrow.setAttribute('marker-end', `url(#${layer.markerId})`);
+        this.handleCircle = layer.create('circle', this.handle);
+        this.handleCircle.setAttribute('r', String(HANDLE_RADIUS));
+        this.handle.style.display = 'none';
+        this.handleCenter = new THREE.Vector2(); // Canvas pixels
+        this.handleShown = false;
+        this.drag = null;
+
+        this.controls = null; // Tools markup, from createControls()
+        this.setTheme(viewer.theme);
+
+        Object.entries(initial).forEach(([name, value]) => {
+            if (!SECTION_PLANES.includes(name)) {
+                console.warn(`Unknown section plane "${name}", skipped`);
+                return;
+            }
+            this.set(name, { enabled: value !== false, position: typeof value === 'number' ? value : undefined });
+        });
+
+        this.onPointerDown = this.onPointerDown.bind(this);
+        this.onPointerMove = this.onPointerMove.bind(this);
+        this.onPointerUp = this.onPointerUp.bind(this);
+        window.addEventListener('pointerdown', this.onPointerDown);
+        window.addEventListener('pointermove', this.onPointerMove);
+        window.addEventListener('pointerup', this.onPointerUp);
+    }
+
+    createSection(name, index) {
+        const plane = new THREE.Plane();
+
+        // Instances clipped by this plane, counted into the stencil
+        const stencilMaterial = new THREE.MeshBasicMaterial({
+            side: THREE.DoubleSide,
+            colorWrite: false,
+            depthWrite: false,
+            depthTest: false,
+            stencilWrite: true,
+            stencilFunc: THREE.AlwaysStencilFunc,
+            stencilFail: THREE.InvertStencilOp,
+            stencilZFail: THREE.InvertStencilOp,
+            stencilZPass: THREE.InvertStencilOp,
+            clippingPlanes: [plane]
+        });
+        const stencil = new THREE.Group();
+        stencil.visible = false;
+
+        // The cap draws where the count is odd and resets the stencil for the next plane
+        const cap = new THREE.Mesh(this.capGeometry, new THREE.ShaderMaterial({
+            uniforms: this.uniforms,
+            vertexShader: HATCH_VERTEX,
+            fragmentShader: HATCH_FRAGMENT,
+            side: THREE.DoubleSide,
+            clipping: true,
+            stencilWrite: true,
+            stencilRef: 0,
+            stencilFunc: THREE.NotEqualStencilFunc,
+            stencilFail: THREE.ReplaceStencilOp,
+            stencilZFail: THREE.ReplaceStencilOp,
+            stencilZPass: THREE.ReplaceStencilOp
+        }));
+        cap.visible = false;
+        cap.frustumCulled = false;
+        cap.renderOrder = index + 1.1; // Right after this plane's stencil pass
+        cap.onAfterRender = (renderer) => renderer.clearStencil();
+
+        this.root.add(stencil, cap);
+        return {
+            name,
+            index,
+            enabled: false,
+            normal: name === 'free' ? new THREE.Vector3(0, 0, 1) : AXIS_NORMALS[name].clone(), // Points into the cut-away side
+            position: 0.5,
+            plane,
+            stencilMaterial,
+            stencil,
+            cap
+        };
+    }
+
+    get(name) {
+        const section = this.sections.find((entry) => entry.name === name);
+        if (!section) throw new Error(`Unknown section plane "${name}"`);
+        return section;
+    }
+
+    get active() {
+        return this.sections.some((section) => section.enabled);
+    }
+
+    // World planes in use; points on their negative side are cut away
+    activePlanes() {
+        return this.sections.filter((section) => section.enabled).map((section) => section.plane);
+    }
+
+    isClipped(point) {
+        return this.sections.some((section) => section.enabled && section.plane.distanceToPoint(point) < 0);
+    }
+
+    // Model whose batches are cut, or null while none is loaded
+    setModel(partBatches) {
+        this.sections.forEach((section) => section.stencil.clear());
+        this.partBatches = partBatches;
+        this.refresh();
+    }
+
+    // options: { enabled, position (0-1), normal ([x, y, z], free plane only) }
+    set(name, { enabled, position, normal } = {}) {
+        const section = this.get(name);
+        if (enabled !== undefined) section.enabled = enabled;
+        if (position !== undefined) section.position = THREE.MathUtils.clamp(position, 0, 1);
+        if (normal !== undefined && name === 'free') section.normal.fromArray(normal).normalize();
+
+        if (enabled) this.current = section;
+        if (enabled === false && section === this.current) {
+            this.current = this.sections.find((entry) => entry.enabled) || section;
+        }
+        this.refresh();
+    }
+
+    // Cut away the other side at the same place
+    flip(name = this.current.name) {
+        const section = this.get(name);
+        section.normal.negate();
+        section.position = 1 - section.position;
+        this.refresh();
+    }
+
+    // Free plane facing the camera through the middle of the model: the near half is cut away
+    alignToView() {
+        const camera = this.viewer.camera;
+        this.free.normal.subVectors(camera.position, this.viewer.controls.target).normalize();
+        this.set('free', { enabled: true, position: 0.5 });
+    }
+
+    refresh() {
+        const planes = this.activePlanes();
+
+        // The batch materials are shared, so one array cuts every part; three
+        // recompiles them when the number of planes changes
+        if (this.partBatches) {
+            [this.partBatches.occluderMaterial, ...this.partBatches.materials].forEach((material) => {
+                material.clippingPlanes = planes;
+            });
+        }
+
+        this.sections.forEach((section) => {
+            if (section.enabled && this.partBatches && section.stencil.children.length === 0) this.buildStencil(section);
+            section.stencil.visible = section.enabled;
+            section.cap.visible = section.enabled;
+            section.cap.material.clippingPlanes = planes.filter((plane) => plane !== section.plane);
+            this.place(section);
+        });
+        this.outline.visible = this.free.enabled;
+
+        this.updateControls();
+        this.viewer.requestRender();
+    }
+
+    buildStencil(section) {
+        this.partBatches.batches.forEach((batch) => {
+            const mesh = new THREE.InstancedMesh(batch.occluder.geometry, section.stencilMaterial, batch.parts.length);
+            mesh.instanceMatrix = batch.occluder.instanceMatrix; // Same instances, uploaded once
+            mesh.frustumCulled = false;
+            mesh.renderOrder = section.index + 1;
+            section.stencil.add(mesh);
+        });
+    }
+
+    // Moves the plane, its cap and (for the free plane) its outline to `position`
+    place(section) {
+        const box = this.viewer.modelBounds;
+        if (box.isEmpty()) return;
+
+        const normal = section.normal;
+        const center = box.getCenter(new THREE.Vector3());
+        const size = box.getSize(new THREE.Vector3());
+        const extent = Math.abs(normal.x) * size.x + Math.abs(normal.y) * size.y + Math.abs(normal.z) * size.z;
+
+        // Keeps points up to `distance` along the normal
+        const distance = normal.dot(center) + (section.position - 0.5) * extent;
+        section.plane.normal.copy(normal).negate();
+        section.plane.constant = distance;
+
+        // Caps only show where the stencil says, so they can be far bigger than the model
+        const cap = section.cap;
+        section.plane.projectPoint(center, cap.position);
+        cap.quaternion.setFromUnitVectors(new THREE.Vector3(0, 0, 1), normal);
+        cap.scale.setScalar(size.length() * 4);
+
+        if (section === this.free) {
+            this.outline.position.copy(cap.position);
+            this.outline.quaternion.copy(cap.quaternion);
+            this.outline.scale.setScalar(size.length() * 0.75);
+        }
+    }
+
+    // Per frame, after the batches have picked their detail levels
+    update() {
+        if (!this.active) {
+            this.handleShown = false;
+            this.handle.style.display = 'none';
+            return;
+        }
+
+        // Stencil passes draw the same level as the occluders
+        const batches = this.partBatches ? this.partBatches.batches : [];
+        this.sections.forEach((section) => {
+            if (!section.enabled) return;
+            section.stencil.children.forEach((mesh, index) => {
+                mesh.geometry = batches[index].occluder.geometry;
+            });
+        });
+
+        const pixelRatio = this.viewer.renderer.getPixelRatio();
+        this.uniforms.hatchSpacing.value = HATCH_SPACING * pixelRatio;
+        this.uniforms.hatchWidth.value = HATCH_WIDTH * pixelRatio;
+
+        this.updateHandle();
+    }
+
+    updateHandle() {
+        const layer = this.viewer.annotationLayer;
+        this.handleShown = this.free.enabled && this.viewer.picker.enabled
+            && layer.project(this.free.cap.position, this.handleCenter);
+        this.handle.style.display = this.handleShown ? '' : 'none';
+        if (!this.handleShown) return;
+
+        // The arrow points into the cut-away side, shortening as the normal turns toward the viewer
+        const normal = this.free.normal.clone().transformDirection(this.viewer.camera.matrixWorldInverse);
+        const { x, y } = this.handleCenter;
+        this.handleCircle.setAttribute('cx', x.toFixed(1));
+        this.handleCircle.setAttribute('cy', y.toFixed(1));
+        this.handleArrow.setAttribute('x1', x.toFixed(1));
+        this.handleArrow.setAttribute('y1', y.toFixed(1));
+        this.handleArrow.setAttribute('x2', (x + normal.x * ARROW_LENGTH).toFixed(1));
+        this.handleArrow.setAttribute('y2', (y - normal.y * ARROW_LENGTH).toFixed(1));
+        this.handleArrow.style.display = Math.hypot(normal.x, normal.y) * ARROW_LENGTH > HANDLE_RADIUS ? '' : 'none';
+    }
+
+    onPointerDown(event) {
+        if (!this.handleShown) return;
+        const pointer = this.viewer.annotationLayer.pointer(event, new THREE.Vector2());
+        if (pointer.distanceTo(this.handleCenter) > HANDLE_RADIUS + 4) return;
+
+        // The handle takes the drag instead of the orbit controls
+        this.drag = { x: event.clientX, y: event.clientY };
+        this.viewer.controls.enabled = false;
+        document.documentElement.style.cursor = 'grabbing';
+        event.preventDefault();
+    }
+
+    onPointerMove(event) {
+        if (!this.drag) return;
+        const dx = event.clientX - this.drag.x;
+        const dy = event.clientY - this.drag.y;
+        this.drag.x = event.clientX;
+        this.drag.y = event.clientY;
+
+        if (event.shiftKey) {
+            this.tilt(dx, dy);
+        } else {
+            this.slide(dx, dy);
+        }
+        this.refresh();
+    }
+
+    onPointerUp() {
+        if (!this.drag) return;
+        this.drag = null;
+        this.viewer.controls.enabled = true;
+        document.documentElement.style.cursor = '';
+    }
+
+    // Slides the free plane along its normal with the pointer
+    slide(dx, dy) {
+        const viewer = this.viewer;
+        const section = this.free;
+        const normal = section.normal.clone().transformDirection(viewer.camera.matrixWorldInverse);
+        const distance = viewer.camera.position.distanceTo(section.cap.position);
+        const pixels = pixelsPerUnit(viewer.camera, viewer.renderer.getSize(new THREE.Vector2()).y, distance);
+
+        // Along the normal's direction on screen; straight up when it faces the viewer
+        const across = Math.hypot(normal.x, normal.y);
+        const moved = across > 0.2
+            ? (dx * normal.x - dy * normal.y) / (across * across)
+            : -dy * Math.sign(normal.z || 1);
+
+        const size = viewer.modelBounds.getSize(new THREE.Vector3());
+        const extent = Math.abs(section.normal.x) * size.x + Math.abs(section.normal.y) * size.y + Math.abs(section.normal.z) * size.z;
+        if (extent > 0) section.position = THREE.MathUtils.clamp(section.position + moved / pixels / extent, 0, 1);
+    }
+
+    // Turns the free plane's normal like a trackball, keeping the plane at the same spot
+    tilt(dx, dy) {
+        const length = Math.hypot(dx, dy);
+        if (length === 0) return;
+
+        const section = this.free;
+        const pivot = section.cap.position.clone();
+        const axis = new THREE.Vector3(dy, dx, 0).divideScalar(length).transformDirection(this.viewer.camera.matrixWorld);
+        section.normal.applyAxisAngle(axis, length * TILT_SPEED).normalize();
+
+        // Position that puts the plane back through the pivot
+        const box = this.viewer.modelBounds;
+        const center = box.getCenter(new THREE.Vector3());
+        const size = box.getSize(new THREE.Vector3());
+        const normal = section.normal;
+        const extent = Math.abs(normal.x) * size.x + Math.abs(normal.y) * size.y + Math.abs(normal.z) * size.z;
+        if (extent > 0) section.position = THREE.MathUtils.clamp(normal.dot(pivot.sub(center)) / extent + 0.5, 0, 1);
+    }
+
+    setTheme(theme) {
+        this.uniforms.fillColor.value.setHex(theme.background);
+        this.uniforms.hatchColor.value.setHex(theme.edge);
+        this.outline.material.color.setHex(theme.hover);
+        this.viewer.requestRender();
+    }
+
+    // Section buttons, position slider, Flip and Align to view for the viewer tools
+    createControls() {
+        const element = document.createElement('div');
+        element.className = 'section-control';
+        element.setAttribute('role', 'group');
+        element.setAttribute('aria-label', 'Section planes');
+        element.innerHTML = `
+            <span>Section</span>
+            ${SECTION_PLANES.map((name) => `<button type="button" data-section="${name}" aria-pressed="false">${PLANE_LABELS[name]}</button>`).join('')}
+            <input type="range" min="0" max="1" step="0.01" value="0.5" aria-label="Section position">
+            <button type="button" data-section-action="flip">Flip</button>
+            <button type="button" data-section-action="align">Align to view</button>
+        `;
+
+        // A plane's button switches it on and makes it the one the slider moves
+        element.querySelectorAll('[data-section]').forEach((button) => {
+            button.addEventListener('click', () => {
+                const section = this.get(button.dataset.section);
+                this.set(section.name, { enabled: !section.enabled || section !== this.current });
+            });
+        });
+
+        const slider = element.querySelector('input');
+        slider.addEventListener('input', () => this.set(this.current.name, { position: parseFloat(slider.value) }));
+        element.querySelector('[data-section-action="flip"]').addEventListener('click', () => this.flip());
+        element.querySelector('[data-section-action="align"]').addEventListener('click', () => this.alignToView());
+
+        this.controls = element;
+        this.updateControls();
+        return element;
+    }
+
+    updateControls() {
+        if (!this.controls) return;
+        this.controls.querySelectorAll('[data-section]').forEach((button) => {
+            const section = this.get(button.dataset.section);
+            button.setAttribute('aria-pressed', String(section.enabled));
+            button.classList.toggle('current', section.enabled && section === this.current);
+        });
+
+        const slider = this.controls.querySelector('input');
+        slider.disabled = !this.current.enabled;
+        slider.value = String(this.current.position);
+        this.controls.querySelector('[data-section-action="flip"]').disabled = !this.current.enabled;
+    }
+
+    dispose() {
+        window.removeEventListener('pointerdown', this.onPointerDown);
+        window.removeEventListener('pointermove', this.onPointerMove);
+        window.removeEventListener('pointerup', this.onPointerUp);
+
+        // Stencil meshes borrow the batches' geometry and instance matrices; only the planes' own resources go
+        this.viewer.scene.remove(this.root);
+        this.sections.forEach((section) => {
+            section.stencilMaterial.dispose();
+            section.cap.material.dispose();
+        });
+        this.capGeometry.dispose();
+        this.outline.geometry.dispose();
+        this.outline.material.dispose();
+    }
+}
@@ -0,0 +1,252 @@
+import * as THREE from 'three';
+
+// Assembly sequence manifest
+//
+// An optional JSON file that replaces the size-sorted, equal-slot timeline with
+// the order a panel is actually built in. Example:
+//
+// {
+//     "defaults": { "easing": "easeOutCubic", "distance": 1.5 },
+//     "steps": [
+//         { "name": "Enclosure", "match": ["enclosure"], "start": 0, "end": 0.2, "direction": "none" },
+//         { "name": "DIN rails", "match": ["Pano_Ray*"], "start": 0.2, "end": 0.4, "direction": "+z", "stagger": 0.03 },
+//         { "name": "Breakers", "match": ["/breaker/i"], "start": 0.4, "end": 0.8, "direction": "+z", "order": "+x" }
+//     ],
+//     "fallback": { "start": 0.8, "end": 1 }
+// }
+//
+// match:     glTF node names; exact, glob (* and ?) or "/regex/flags"
+// start/end: window on the 0-1 timeline
+// easing:    key of EASINGS
+// direction: approach axis ("+x", "-z", [x, y, z]) or "none" to stay in place.
+//            Omit it to fly in from the scatter pattern like unlisted parts do
+// distance:  approach distance in multiples of the model's largest dimension
+// stagger:   delay between consecutive parts of the step (timeline fraction)
+// order:     stagger order - "size" (default), "name" or an axis such as "+x"
+//
+// Components no step mentions keep the size-based order, sharing the fallback
+// window (the whole timeline unless "fallback" says otherwise).
+//
+// An optional "camera" array holds camera keyframes on the same timeline
+// (see camera-views.js).
+
+export const EASINGS = {
+    linear: (t) => t,
+    easeInQuad: (t) => t * t,
+    easeOutQuad: (t) => 1 - (1 - t) * (1 - t),
+    easeInOutQuad: (t) => t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2,
+    easeOutCubic: (t) => 1 - Math.pow(1 - t, 3),
+    easeInOutCubic: (t) => t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2,
+    easeOutQuart: (t) => 1 - Math.pow(1 - t, 4),
+    easeOutExpo: (t) => t === 0 ? 0 : t === 1 ? 1 : 1 - Math.pow(2, -10 * t),
+    easeOutBack: (t) => {
+        const c1 = 1.70158;
+        const c3 = c1 + 1;
+        return 1 + c3 * Math.pow(t - 1, 3) + c1 * Math.pow(t - 1, 2);
+    }
+};
+
+export const DEFAULT_EASING = 'easeOutExpo';
+
+const AXES = {
+    x: new THREE.Vector3(1, 0, 0),
+    y: new THREE.Vector3(0, 1, 0),
+    z: new THREE.Vector3(0, 0, 1)
+};
+
+export async function loadSequence(source) {
+    // Accept either a URL or an already-parsed manifest object
+    if (typeof source !== 'string') return normalizeSequence(source);
+
+    const response = await fetch(source);
+    if (!response.ok) {
+        throw new Error(`Sequence file ${source} returned ${response.status}`);
+    }
+    return normalizeSequence(await response.json());
+}
+
+export function normalizeSequence(manifest) {
+    if (!manifest || !Array.isArray(manifest.steps)) {
+        throw new Error('Sequence manifest needs a "steps" array');
+    }
+
+    const defaults = manifest.defaults || {};
+
+    const steps = manifest.steps.map((step, index) => {
+        const patterns = [].concat(step.match || step.name || []);
+        if (patterns.length === 0) {
+            throw new Error(`Sequence step ${index} has no "match" patterns`);
+        }
+
+        const start = THREE.MathUtils.clamp(step.start ?? 0, 0, 1);
+        const end = THREE.MathUtils.clamp(step.end ?? 1, start, 1);
+        const easing = step.easing || defaults.easing || DEFAULT_EASING;
+        if (!EASINGS[easing]) {
+            console.warn(`Sequence step "${step.name || index}": unknown easing "${easing}", using ${DEFAULT_EASING}`);
+        }
+
+        return {
+            name: step.name || `Step ${index + 1}`,
+            matchers: patterns.map(compileNamePattern),
+            start,
+            end,
+            easing: EASINGS[easing] ? easing : DEFAULT_EASING,
+            direction: parseDirection(step.direction !== undefined ? step.direction : defaults.direction),
+            distance: step.distance ?? defaults.distance ?? 1.5,
+            stagger: Math.max(0, step.stagger ?? defaults.stagger ?? 0),
+            order: step.order || defaults.order || 'size'
+        };
+    });
+
+    const fallback = manifest.fallback || {};
+    const fallbackStart = THREE.MathUtils.clamp(fallback.start ?? 0, 0, 1);
+
+    return {
+        steps,
+        camera: Array.isArray(manifest.camera) ? manifest.camera : [],
+        fallback: {
+            start: fallbackStart,
+            end: THREE.MathUtils.clamp(fallback.end ?? 1, fallbackStart, 1),
+            easing: EASINGS[fallback.easing] ? fallback.easing : DEFAULT_EASING
+        }
+    };
+}
+
+export function compileNamePattern(pattern) {
+    // "/regex/flags"
+    const regexMatch = /^\/(.+)\/([a-z]*)$/.exec(pattern);
+    if (regexMatch) {
+        const regex = new RegExp(regexMatch[1], regexMatch[2]);
+        return (name) => regex.test(name);
+    }
+
+    // Glob with * and ?, anchored to the whole name
+    if (/[*?]/.test(pattern)) {
+        const source = pattern
+            .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+            .replace(/\*/g, '.*')
+            .replace(/\?/g, '.');
+        const regex = new RegExp(`^${source}$`);
+        return (name) => regex.test(name);
+    }
+
+    return (name) => name === pattern;
+}
+
+function parseDirection(direction) {
+    if (direction === undefined || direction === null) return undefined; // Use scatter pattern
+    if (direction === 'none') return null; // Stay in place
+
+    if (Array.isArray(direction)) {
+        const vector = new THREE.Vector3().fromArray(direction);
+        return vector.lengthSq() > 0 ? vector.normalize() : null;
+    }
+
+    const axisMatch = /^([+-]?)([xyz])$/i.exec(String(direction).trim());
+    if (!axisMatch) {
+        console.warn(`Unknown sequence direction "${direction}", using scatter pattern`);
+        return undefined;
+    }
+
+    const vector = AXES[axisMatch[2].toLowerCase()].clone();
+    return axisMatch[1] === '-' ? vector.negate() : vector;
+}
+
+// Names a component can be matched by: its (sanitized) object name and the original glTF node name
+export function componentNames(component) {
+    const names = [component.name];
+    if (component.userData.name && component.userData.name !== component.name) {
+        names.push(component.userData.name);
+    }
+    return names;
+}
+
+function orderComponents(components, order, sizes) {
+    const sorted = components.slice();
+
+    if (order === 'name') {
+        return sorted.sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+    }
+
+    const axisMatch = /^([+-]?)([xyz])$/i.exec(order);
+    if (axisMatch) {
+        // Stagger along an axis, e.g. terminals snapping on left to right
+        const axis = axisMatch[2].toLowerCase();
+        const sign = axisMatch[1] === '-' ? -1 : 1;
+        return sorted.sort((a, b) => sign * (a.position[axis] - b.position[axis]));
+    }
+
+    // 'size': largest first, same as the default timeline
+    return sorted.sort((a, b) => (sizes.get(b) || 0) - (sizes.get(a) || 0));
+}
+
+function spreadWindows(components, start, end, stagger) {
+    // Fit every part's window inside [start, end]: each starts `stagger` after the
+    // previous one and they all share the same duration
+    const count = components.length;
+    const span = end - start;
+    const duration = count > 1 ? Math.max(span - stagger * (count - 1), span / count) : span;
+    const step = count > 1 ? (span - duration) / (count - 1) : 0;
+
+    return components.map((component, index) => ({
+        component,
+        start: start + index * step,
+        end: start + index * step + duration
+    }));
+}
+
+// Build per-component timings from a normalized sequence.
+// `components` must already be in size order (largest first) and `sizes` maps
+// each component to its size metric. Returns Map<component, timing>.
+export function resolveSequence(components, sequence, sizes) {
+    const timings = new Map();
+    const claimed = new Set();
+
+    if (sequence) {
+        sequence.steps.forEach((step) => {
+            // First matching step wins
+            const matched = components.filter((component) =>
+                !claimed.has(component) &&
+                componentNames(component).some((name) => step.matchers.some((matches) => matches(name)))
+            );
+
+            if (matched.length === 0) {
+                console.warn(`Sequence step "${step.name}" matched no components`);
+                return;
+            }
+
+            const ordered = orderComponents(matched, step.order, sizes);
+            spreadWindows(ordered, step.start, step.end, step.stagger).forEach(({ component, start, end }) => {
+                claimed.add(component);
+                timings.set(component, {
+                    start,
+                    end,
+                    easing: EASINGS[step.easing],
+                    direction: step.direction,
+                    distance: step.distance,
+                    step: step.name,
+                    fromSequence: true
+                });
+            });
+        });
+    }
+
+    // Everything else keeps the size-based order with equal slots
+    const fallback = sequence ? sequence.fallback : { start: 0, end: 1, easing: DEFAULT_EASING };
+    const remaining = components.filter((component) => !claimed.has(component));
+    const slot = (fallback.end - fallback.start) / Math.max(1, remaining.length);
+
+    remaining.forEach((component, index) => {
+        timings.set(component, {
+            start: fallback.start + index * slot,
+            end: fallback.start + (index + 1) * slot,
+            easing: EASINGS[fallback.easing],
+            direction: undefined,
+            distance: 0,
+            step: null,
+            fromSequence: false
+        });
+    });
+
+    return timings;
+}
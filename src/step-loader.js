@@ -0,0 +1,176 @@
+import * as THREE from 'three';
+
+// STEP / IGES loader
+//
+// Same shape as the three.js loaders (load / loadAsync / parse). Parsing runs in
+// step-worker.js; the result is rebuilt here as a THREE.Group hierarchy that
+// mirrors the STEP product/assembly tree, so processModel can group it like a glTF
+// scene. Node and part names are kept (sanitized like GLTFLoader does, with the
+// original in userData.name).
+//
+// onProgress receives { stage, progress, loaded, total } where stage is
+// 'download', 'init', 'parse' or 'mesh' and progress is 0-1 within the stage.
+
+const STEP_EXTENSIONS = ['step', 'stp'];
+const IGES_EXTENSIONS = ['iges', 'igs'];
+
+export function cadFormatFromUrl(url) {
+    const extension = url.split(/[?#]/)[0].split('.').pop().toLowerCase();
+    if (STEP_EXTENSIONS.includes(extension)) return 'step';
+    if (IGES_EXTENSIONS.includes(extension)) return 'iges';
+    return null;
+}
+
+export class StepLoader extends THREE.Loader {
+    constructor(manager) {
+        super(manager);
+
+        // Triangulation settings passed to OpenCASCADE
+        this.params = {
+            linearUnit: 'millimeter',
+            linearDeflectionType: 'bounding_box_ratio',
+            linearDeflection: 0.001,
+            angularDeflection: 0.5
+        };
+
+        // Up axis of the source file; 'z' is rotated into three.js's Y-up space
+        this.upAxis = 'z';
+
+        this.worker = null;
+        this.requestId = 0;
+        this.pending = new Map();
+    }
+
+    load(url, onLoad, onProgress, onError) {
+        const format = cadFormatFromUrl(url) || 'step';
+
+        const fileLoader = new THREE.FileLoader(this.manager);
+        fileLoader.setPath(this.path);
+        fileLoader.setResponseType('arraybuffer');
+        fileLoader.setRequestHeader(this.requestHeader);
+        fileLoader.setWithCredentials(this.withCredentials);
+
+        fileLoader.load(
+            url,
+            (buffer) => {
+                this.parse(buffer, format, onProgress)
+                    .then(onLoad)
+                    .catch((error) => {
+                        if (onError) onError(error);
+                        else console.error(error);
+                        this.manager.itemError(url);
+                    });
+            },
+            (event) => {
+                if (!onProgress) return;
+                onProgress({
+                    stage: 'download',
+                    progress: event.total ? event.loaded / event.total : 0,
+                    loaded: event.loaded,
+                    total: event.total
+                });
+            },
+            onError
+        );
+    }
+
+    parse(buffer, format = 'step', onProgress) {
+        const id = ++this.requestId;
+
+        return new Promise((resolve, reject) => {
+            this.pending.set(id, { resolve, reject, onProgress });
+            // The buffer is transferred; callers must not reuse it
+            this.getWorker().postMessage({ id, format, buffer, params: this.params }, [buffer]);
+        }).then((result) => this.buildHierarchy(result.root, result.meshes));
+    }
+
+    getWorker() {
+        if (this.worker) return this.worker;
+
+        this.worker = new Worker(new URL('./step-worker.js', import.meta.url));
+        this.worker.onmessage = (event) => {
+            const message = event.data;
+            const request = this.pending.get(message.id);
+            if (!request) return;
+
+            if (message.type === 'progress') {
+                if (request.onProgress) request.onProgress({ stage: message.stage, progress: message.progress });
+            } else if (message.type === 'done') {
+                this.pending.delete(message.id);
+                request.resolve(message);
+            } else if (message.type === 'error') {
+                this.pending.delete(message.id);
+                request.reject(new Error(message.message));
+            }
+        };
+        this.worker.onerror = (event) => {
+            // A worker that fails to start (e.g. the WASM CDN is unreachable) fails every pending request
+            const error = new Error(event.message || 'STEP worker failed');
+            this.pending.forEach((request) => request.reject(error));
+            this.pending.clear();
+        };
+
+        return this.worker;
+    }
+
+    buildHierarchy(rootNode, meshes) {
+        const geometries = meshes.map((mesh) => {
+            const geometry = new THREE.BufferGeometry();
+            geometry.setAttribute('position', new THREE.BufferAttribute(mesh.position, 3));
+            if (mesh.normal) {
+                geometry.setAttribute('normal', new THREE.BufferAttribute(mesh.normal, 3));
+            } else {
+                geometry.computeVertexNormals();
+            }
+            geometry.setIndex(new THREE.BufferAttribute(mesh.index, 1));
+            return geometry;
+        });
+
+        const usedNames = new Map();
+        const uniqueName = (originalName, fallback) => {
+            // Mirror GLTFLoader: sanitize, then suffix duplicates so names stay unique
+            const sanitized = THREE.PropertyBinding.sanitizeNodeName(originalName || fallback);
+            const count = usedNames.get(sanitized) || 0;
+            usedNames.set(sanitized, count + 1);
+            return count === 0 ? sanitized : `${sanitized}_${count}`;
+        };
+
+        const buildNode = (node, path) => {
+            const group = new THREE.Group();
+            group.name = uniqueName(node.name, path);
+            if (node.name) group.userData.name = node.name;
+
+            (node.meshes || []).forEach((meshIndex) => {
+                const source = meshes[meshIndex];
+                const material = new THREE.MeshStandardMaterial({
+                    color: source.color ? new THREE.Color().fromArray(source.color) : 0xcccccc
+                });
+                const mesh = new THREE.Mesh(geometries[meshIndex], material);
+                mesh.name = uniqueName(source.name || node.name, `${path}_mesh`);
+                if (source.name) mesh.userData.name = source.name;
+                group.add(mesh);
+            });
+
+            (node.children || []).forEach((child, index) => {
+                group.add(buildNode(child, `${path}_${index}`));
+            });
+
+            return group;
+        };
+
+        const root = buildNode(rootNode, 'node');
+
+        // Most CAD exports are Z-up; rotate into the Y-up space the rest of the viewer assumes
+        if (this.upAxis === 'z') root.rotation.x = -Math.PI / 2;
+        root.updateMatrixWorld(true);
+
+        return root;
+    }
+
+    dispose() {
+        if (this.worker) this.worker.terminate();
+        this.worker = null;
+        this.pending.forEach((request) => request.reject(new Error('StepLoader disposed')));
+        this.pending.clear();
+    }
+}
@@ -0,0 +1,70 @@
+// STEP / IGES import worker
+//
+// Runs the OpenCASCADE-based occt-import-js WASM build off the main thread and
+// posts back the product tree plus flat typed-array meshes (transferred, not
+// copied). Loaded as a classic worker so importScripts can pull the library
+// from the CDN.
+
+const OCCT_BASE = 'https://cdn.jsdelivr.net/npm/occt-import-js@0.0.23/dist/';
+
+importScripts(OCCT_BASE + 'occt-import-js.js');
+
+let occtPromise = null;
+
+function getOcct() {
+    // The WASM module is compiled once per worker and reused for later files
+    if (!occtPromise) {
+        occtPromise = occtimportjs({
+            locateFile: (path) => OCCT_BASE + path
+        });
+    }
+    return occtPromise;
+}
+
+function postProgress(id, stage, progress) {
+    self.postMessage({ id, type: 'progress', stage, progress });
+}
+
+self.onmessage = async (event) => {
+    const { id, format, buffer, params } = event.data;
+
+    try {
+        postProgress(id, 'init', 0);
+        const occt = await getOcct();
+
+        postProgress(id, 'parse', 0);
+        const content = new Uint8Array(buffer);
+        const result = format === 'iges'
+            ? occt.ReadIgesFile(content, params)
+            : occt.ReadStepFile(content, params);
+
+        if (!result || !result.success) {
+            throw new Error(`OpenCASCADE could not read this ${format.toUpperCase()} file`);
+        }
+
+        // Pack meshes into typed arrays so they transfer instead of copy
+        const transfer = [];
+        const meshes = result.meshes.map((mesh, index) => {
+            const position = new Float32Array(mesh.attributes.position.array);
+            const normal = mesh.attributes.normal ? new Float32Array(mesh.attributes.normal.array) : null;
+            const indices = new Uint32Array(mesh.index.array);
+
+            transfer.push(position.buffer, indices.buffer);
+            if (normal) transfer.push(normal.buffer);
+
+            postProgress(id, 'mesh', (index + 1) / result.meshes.length);
+
+            return {
+                name: mesh.name || '',
+                color: mesh.color || null,
+                position,
+                normal,
+                index: indices
+            };
+        });
+
+        self.postMessage({ id, type: 'done', root: result.root, meshes }, transfer);
+    } catch (error) {
+        self.postMessage({ id, type: 'error', message: error.message || String(error) });
+    }
+};
@@ -0,0 +1,150 @@
+import * as THREE from 'three';
+import { compileNamePattern, componentNames } from './sequence.js';
+
+// Viewer colours and category accents
+//
+// Colours are read from CSS custom properties on the container, so the page's
+// stylesheet themes the drawing along with everything else:
+//
+//   --viewer-background    clear colour and occluders; must match the page behind the canvas
+//   --viewer-edge          edge lines of uncategorized components
+//   --viewer-hover         hovered component
+//   --viewer-highlight     selected component
+//   --viewer-added, --viewer-removed, --viewer-moved   changes in compare mode (see revision-diff.js)
+//   --viewer-accent-<category>   edge lines of a category (power, control, terminals, enclosure)
+//
+// Values are anything THREE.Color.setStyle reads: hex, rgb(), hsl() or a colour
+// name. The `theme` option wins over CSS, and DEFAULT_THEME covers anything unset.
+// ThemeWatcher re-reads them when the page's classes, inline styles or colour
+// scheme change, so a light or print theme applies without code changes.
+//
+// Each component gets a category from its glTF extras ("category": "power") or,
+// failing that, the first name rule that matches. Rules use the sequence
+// manifest's name patterns (exact, glob or /regex/flags); the `categories`
+// option adds rules ahead of the defaults:
+//
+//   categories: { enclosure: ['Pano_Ray*', 'GAINTA_merged*'] }
+
+export const DEFAULT_THEME = {
+    background: 0x111111,
+    edge: 0x464646,
+    hover: 0xb4b4b4,
+    highlight: 0xfefaf6,
+    added: 0x4f8f4a,
+    removed: 0xa8493f,
+    moved: 0xc0902e,
+    accents: {
+        power: 0x8a5a3c,
+        control: 0x3f6485,
+        terminals: 0x77703d,
+        enclosure: 0x464646
+    }
+};
+
+const THEME_PROPERTIES = {
+    background: '--viewer-background',
+    edge: '--viewer-edge',
+    hover: '--viewer-hover',
+    highlight: '--viewer-highlight',
+    added: '--viewer-added',
+    removed: '--viewer-removed',
+    moved: '--viewer-moved'
+};
+const ACCENT_PROPERTY = '--viewer-accent-';
+
+export const DEFAULT_CATEGORY_RULES = {
+    power: ['/breaker|fuse|contactor|switch|disconnect|isolator|power.?supply|psu|transformer|surge/i'],
+    control: ['/relay|plc|controller|timer|module|hmi|button|pilot|lamp|sensor/i'],
+    terminals: ['/terminal|block|clamp|end.?stop|jumper|busbar/i'],
+    enclosure: ['/enclosure|cabinet|housing|door|rail|duct|trunking|mounting.?plate/i']
+};
+
+// Theme from CSS on `element`, with `overrides` (the theme option) on top.
+// `categories` are extra category names whose accent properties are read.
+export function resolveTheme(element, overrides = {}, categories = []) {
+    const style = typeof getComputedStyle === 'function' && element ? getComputedStyle(element) : null;
+    const read = (property) => (style ? parseColor(style.getPropertyValue(property)) : null);
+
+    const theme = { ...DEFAULT_THEME, accents: { ...DEFAULT_THEME.accents } };
+    Object.entries(THEME_PROPERTIES).forEach(([key, property]) => {
+        const color = read(property);
+        if (color !== null) theme[key] = color;
+    });
+
+    // Custom categories (from rules or extras) can have accents too
+    const names = new Set([...Object.keys(theme.accents), ...Object.keys(overrides.accents || {}), ...categories]);
+    names.forEach((category) => {
+        const color = read(ACCENT_PROPERTY + category);
+        if (color !== null) theme.accents[category] = color;
+    });
+
+    return { ...theme, ...overrides, accents: { ...theme.accents, ...overrides.accents } };
+}
+
+function parseColor(value) {
+    const text = value.trim();
+    if (!text) return null;
+
+    // setStyle leaves the colour as it was (and warns) if it can't read the value
+    const color = new THREE.Color(NaN, NaN, NaN).setStyle(text);
+    return Number.isNaN(color.r) ? null : color.getHex();
+}
+
+export function sameTheme(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Edge colour for a category, the plain edge colour when it has no accent
+export function categoryColor(theme, category) {
+    return category && theme.accents[category] !== undefined ? theme.accents[category] : theme.edge;
+}
+
+// Name rules as [{ category, matches }], `rules` (the categories option) first
+export function compileCategoryRules(rules = {}) {
+    const compile = (source) => Object.entries(source).flatMap(([category, patterns]) =>
+        [].concat(patterns).map((pattern) => ({ category, matches: compileNamePattern(pattern) })));
+    return [...compile(rules), ...compile(DEFAULT_CATEGORY_RULES)];
+}
+
+// Category of a component group: its "category" extra, else the first matching rule, else null
+export function componentCategory(component, rules) {
+    const extra = component.userData.category;
+    if (typeof extra === 'string' && extra.trim()) return extra.trim().toLowerCase();
+
+    const names = componentNames(component);
+    const rule = rules.find(({ matches }) => names.some((name) => matches(name)));
+    return rule ? rule.category : null;
+}
+
+// Calls onChange when something that may restyle the page changes: class, style
+// or data-theme on <html> or <body>, the preferred colour scheme, or printing
+export class ThemeWatcher {
+    constructor(onChange) {
+        this.onChange = onChange;
+        this.pending = false;
+        this.check = this.check.bind(this);
+
+        this.observer = new MutationObserver(this.check);
+        [document.documentElement, document.body].forEach((element) => {
+            if (element) this.observer.observe(element, { attributes: true, attributeFilter: ['class', 'style', 'data-theme'] });
+        });
+
+        this.queries = ['(prefers-color-scheme: dark)', 'print'].map((query) => window.matchMedia(query));
+        this.queries.forEach((query) => query.addEventListener('change', this.check));
+    }
+
+    check() {
+        // Several mutations in one task are read once, after styles settle
+        if (this.pending) return;
+        this.pending = true;
+        queueMicrotask(() => {
+            this.pending = false;
+            this.onChange();
+        });
+    }
+
+    dispose() {
+        this.observer.disconnect();
+        this.queries.forEach((query) => query.removeEventListener('change', this.check));
+    }
+}
@@ -0,0 +1,462 @@
+import * as THREE from 'three';
+import { classifyEdges } from './line-styles.js';
+
+// Vector export of the hidden-line view
+//
+// Projects the edge lines from the current camera into 2D, removes the parts
+// hidden behind occluder meshes and writes them out as SVG (one group per
+// component, usable as layers in Illustrator) or as a PDF wrapping the same
+// paths (one optional-content layer per component).
+//
+// Hidden lines are found against a depth pass of the occluders: each segment
+// is sampled about once per depth pixel and only the runs in front of the
+// stored depth are kept (or, with hidden lines on, the rest become dashed).
+// Edge lines are split into outline and interior the same way the shader
+// does it, so line weights match the screen.
+
+const DEPTH_TOLERANCE = 0.002; // Fraction of the export depth range a line may sit behind a surface
+const UNPACK_DOWNSCALE = 255 / 256;
+
+// Collect the visible 2D polylines for each layer.
+// layers: [{ name, color, opacity, lines: [LineSegments | LineSegments2 | PartInstance], hidden: { width, opacity, dash } | null }]
+// options.clippingPlanes: world planes whose negative side is cut away (section planes)
+// Returns { width, height, layers: [{ name, color, strokes: [{ width, opacity, dash, paths: [[x0, y0, x1, y1]] }] }] }
+export function projectVisibleEdges(renderer, scene, camera, layers, options = {}) {
+    const scale = options.scale || 2; // Depth samples per CSS pixel
+    const size = renderer.getSize(new THREE.Vector2());
+    const width = Math.round(size.x * scale);
+    const height = Math.round(size.y * scale);
+
+    const clippingPlanes = options.clippingPlanes || [];
+    const restoreCamera = fitCameraDepth(camera, scene);
+    const depth = renderDepth(renderer, scene, camera, width, height, clippingPlanes);
+
+    const start = new THREE.Vector3();
+    const end = new THREE.Vector3();
+    const toPixel = (ndc, target) => target.set(
+        (ndc.x + 1) / 2 * width,
+        (1 - ndc.y) / 2 * height,
+        ndc.z * 0.5 + 0.5 // Same [0, 1] range as gl_FragCoord.z
+    );
+
+    // Deepest stored depth in a 3x3 neighbourhood, so lines running along a
+    // surface's own outline aren't hidden by that surface
+    const depthAt = (x, y) => {
+        const px = Math.floor(x);
+        const py = height - 1 - Math.floor(y); // Pixels are read bottom-up
+        let max = 0;
+        for (let dy = -1; dy <= 1; dy++) {
+            const row = py + dy;
+            if (row < 0 || row >= height) continue;
+            for (let dx = -1; dx <= 1; dx++) {
+                const column = px + dx;
+                if (column < 0 || column >= width) continue;
+                max = Math.max(max, depth[row * width + column]);
+            }
+        }
+        return max;
+    };
+
+    const result = layers.map((layer) => {
+        const strokes = new Map(); // "width|opacity|dash" -> stroke
+        const strokeFor = (strokeWidth, opacity, dash) => {
+            const key = `${strokeWidth}|${opacity}|${dash}`;
+            if (!strokes.has(key)) strokes.set(key, { width: strokeWidth, opacity, dash, paths: [] });
+            return strokes.get(key).paths;
+        };
+        const hiddenPaths = layer.hidden ? strokeFor(layer.hidden.width, layer.opacity * layer.hidden.opacity, layer.hidden.dash) : null;
+
+        layer.lines.forEach((line) => {
+            if (!isShown(line)) return;
+            line.updateWorldMatrix(true, false);
+
+            lineStrokes(line, camera).forEach(({ positions, width: strokeWidth }) => {
+                const visiblePaths = strokeFor(strokeWidth, layer.opacity, null);
+
+                for (let i = 0; i < positions.length; i += 6) {
+                    start.fromArray(positions, i).applyMatrix4(line.matrixWorld);
+                    end.fromArray(positions, i + 3).applyMatrix4(line.matrixWorld);
+                    if (!clipToPlanes(start, end, clippingPlanes)) continue;
+
+                    start.project(camera);
+                    end.project(camera);
+                    if (!clipToView(start, end)) continue;
+
+                    toPixel(start, start);
+                    toPixel(end, end);
+
+                    // Sample roughly once per depth pixel and split into visible and hidden runs
+                    const samples = Math.max(1, Math.ceil(Math.hypot(end.x - start.x, end.y - start.y)));
+                    let run = null;
+                    let runVisible = true;
+                    for (let s = 0; s <= samples; s++) {
+                        const t = s / samples;
+                        const x = start.x + (end.x - start.x) * t;
+                        const y = start.y + (end.y - start.y) * t;
+                        const z = start.z + (end.z - start.z) * t;
+                        const visible = z <= depthAt(x, y) + DEPTH_TOLERANCE;
+
+                        if (run && visible !== runVisible) {
+                            pushRun(runVisible ? visiblePaths : hiddenPaths, run, scale);
+                            run = null;
+                        }
+                        if (!run) {
+                            run = [x, y, x, y];
+                            runVisible = visible;
+                        }
+                        run[2] = x;
+                        run[3] = y;
+                    }
+                    if (run) pushRun(runVisible ? visiblePaths : hiddenPaths, run, scale);
+                }
+            });
+        });
+
+        return {
+            name: layer.name,
+            color: layer.color,
+            strokes: [...strokes.values()].filter((stroke) => stroke.paths.length > 0)
+        };
+    });
+
+    restoreCamera();
+
+    return { width: size.x, height: size.y, layers: result };
+}
+
+function isShown(object) {
+    for (let current = object; current; current = current.parent) {
+        if (!current.visible) return false;
+    }
+    return true;
+}
+
+// Segment pairs for a line object, grouped by stroke width
+function lineStrokes(line, camera) {
+    if (line.material.isEdgeLineMaterial) {
+        const { outline, interior } = classifyEdges(line, camera);
+        return [
+            { positions: outline, width: line.material.outlineWidth },
+            { positions: interior, width: line.material.linewidth }
+        ];
+    }
+    if (line.isLineSegments2) {
+        // Fat lines (wires): segment pairs as they are drawn
+        return [{ positions: line.geometry.attributes.instanceStart.data.array, width: line.material.linewidth }];
+    }
+    return [{ positions: line.geometry.attributes.position.array, width: 1 }];
+}
+
+function pushRun(paths, run, scale) {
+    // Hidden runs are dropped unless hidden lines are on; so are sub-pixel specks
+    if (!paths || Math.hypot(run[2] - run[0], run[3] - run[1]) < 0.5) return;
+    paths.push(run.map((value) => value / scale));
+}
+
+// Cut a world-space segment to the positive side of every plane; false when nothing is left
+function clipToPlanes(start, end, planes) {
+    for (const plane of planes) {
+        const a = plane.distanceToPoint(start);
+        const b = plane.distanceToPoint(end);
+        if (a < 0 && b < 0) return false;
+        if (a < 0) start.lerp(end, a / (a - b));
+        else if (b < 0) end.lerp(start, b / (b - a));
+    }
+    return true;
+}
+
+// Liang-Barsky clip of an NDC segment to the view volume; false when fully outside
+function clipToView(start, end) {
+    let t0 = 0;
+    let t1 = 1;
+    const delta = end.clone().sub(start);
+
+    const axes = ['x', 'y', 'z'];
+    for (const axis of axes) {
+        for (const sign of [-1, 1]) {
+            const p = sign * delta[axis];
+            const q = 1 - sign * start[axis];
+            if (p === 0) {
+                if (q < 0) return false;
+                continue;
+            }
+            const r = q / p;
+            if (p < 0) t0 = Math.max(t0, r);
+            else t1 = Math.min(t1, r);
+            if (t0 > t1) return false;
+        }
+    }
+
+    const origin = start.clone();
+    end.copy(origin).addScaledVector(delta, t1);
+    start.copy(origin).addScaledVector(delta, t0);
+    return true;
+}
+
+// Tighten near/far around the scene so the depth pass has precision to spare
+function fitCameraDepth(camera, scene) {
+    const { near, far } = camera;
+    const sphere = new THREE.Box3().setFromObject(scene).getBoundingSphere(new THREE.Sphere());
+    if (sphere.isEmpty()) return () => {};
+
+    const distance = camera.position.distanceTo(sphere.center);
+    camera.near = distance - sphere.radius * 1.1;
+    if (camera.isPerspectiveCamera) camera.near = Math.max(camera.near, 0.01);
+    camera.far = distance + sphere.radius * 1.1;
+    camera.updateProjectionMatrix();
+
+    return () => {
+        camera.near = near;
+        camera.far = far;
+        camera.updateProjectionMatrix();
+    };
+}
+
+// Render occluder depth into a packed RGBA target and unpack it to floats
+function renderDepth(renderer, scene, camera, width, height, clippingPlanes) {
+    const target = new THREE.WebGLRenderTarget(width, height);
+    const material = new THREE.MeshDepthMaterial({
+        depthPacking: THREE.RGBADepthPacking,
+        side: THREE.DoubleSide,
+        clippingPlanes
+    });
+
+    // Only solid, depth-writing meshes occlude (ghosted parts don't)
+    const hidden = [];
+    scene.traverse((object) => {
+        if (!object.visible) return;
+        const occludes = object.isMesh && !object.isLineSegments2 && object.material
+            && object.material.depthWrite !== false && object.material.colorWrite !== false;
+        if (!occludes && (object.isMesh || object.isLine || object.isPoints || object.isSprite)) {
+            object.visible = false;
+            hidden.push(object);
+        }
+    });
+
+    const previousTarget = renderer.getRenderTarget();
+    const previousClearColor = renderer.getClearColor(new THREE.Color());
+    const previousClearAlpha = renderer.getClearAlpha();
+    const previousOverride = scene.overrideMaterial;
+
+    scene.overrideMaterial = material;
+    renderer.setRenderTarget(target);
+    renderer.setClearColor(0xffffff, 1); // Unpacks to the far plane
+    renderer.clear();
+    renderer.render(scene, camera);
+
+    const pixels = new Uint8Array(width * height * 4);
+    renderer.readRenderTargetPixels(target, 0, 0, width, height, pixels);
+
+    renderer.setRenderTarget(previousTarget);
+    renderer.setClearColor(previousClearColor, previousClearAlpha);
+    scene.overrideMaterial = previousOverride;
+    hidden.forEach((object) => { object.visible = true; });
+    target.dispose();
+    material.dispose();
+
+    // Mirror unpackRGBAToDepth from three's packing chunk
+    const depth = new Float32Array(width * height);
+    for (let i = 0; i < depth.length; i++) {
+        const r = pixels[i * 4] / 255;
+        const g = pixels[i * 4 + 1] / 255;
+        const b = pixels[i * 4 + 2] / 255;
+        const a = pixels[i * 4 + 3] / 255;
+        depth[i] = UNPACK_DOWNSCALE * (r / 16777216 + g / 65536 + b / 256 + a);
+    }
+    return depth;
+}
+
+// Bounding box of all paths, padded; keeps the drawing tight when the canvas is wide
+function drawingBounds(drawing, margin) {
+    let minX = Infinity;
+    let minY = Infinity;
+    let maxX = -Infinity;
+    let maxY = -Infinity;
+
+    drawing.layers.forEach((layer) => layer.strokes.forEach((stroke) => stroke.paths.forEach((path) => {
+        for (let i = 0; i < path.length; i += 2) {
+            minX = Math.min(minX, path[i]);
+            maxX = Math.max(maxX, path[i]);
+            minY = Math.min(minY, path[i + 1]);
+            maxY = Math.max(maxY, path[i + 1]);
+        }
+    })));
+
+    if (minX === Infinity) return { x: 0, y: 0, width: drawing.width, height: drawing.height };
+    return {
+        x: minX - margin,
+        y: minY - margin,
+        width: maxX - minX + margin * 2,
+        height: maxY - minY + margin * 2
+    };
+}
+
+function cssColor(color) {
+    return '#' + new THREE.Color(color).getHexString();
+}
+
+function escapeXml(text) {
+    return String(text).replace(/[&<>"']/g, (character) => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;'
+    })[character]);
+}
+
+function layerId(name, index, used) {
+    // XML ids must be unique and start with a letter
+    let id = String(name || `part-${index + 1}`).replace(/[^A-Za-z0-9_-]+/g, '_');
+    if (!/^[A-Za-z_]/.test(id)) id = `part_${id}`;
+    while (used.has(id)) id += '_';
+    used.add(id);
+    return id;
+}
+
+export function buildSVG(drawing, options = {}) {
+    const bounds = drawingBounds(drawing, options.margin ?? 10);
+    const round = (value) => Math.round(value * 100) / 100;
+    const usedIds = new Set();
+
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<svg xmlns="http://www.w3.org/2000/svg" xmlns:inkscape="http://www.inkscape.org/namespaces/inkscape" ` +
+        `width="${round(bounds.width)}" height="${round(bounds.height)}" ` +
+        `viewBox="${round(bounds.x)} ${round(bounds.y)} ${round(bounds.width)} ${round(bounds.height)}">`
+    ];
+
+    if (options.background !== undefined && options.background !== null) {
+        lines.push(`  <rect x="${round(bounds.x)}" y="${round(bounds.y)}" width="${round(bounds.width)}" height="${round(bounds.height)}" fill="${cssColor(options.background)}"/>`);
+    }
+
+    drawing.layers.forEach((layer, index) => {
+        if (layer.strokes.length === 0) return;
+
+        const id = layerId(layer.name, index, usedIds);
+        lines.push(
+            `  <g id="${escapeXml(id)}" inkscape:groupmode="layer" inkscape:label="${escapeXml(layer.name)}" ` +
+            `fill="none" stroke="${cssColor(layer.color)}" stroke-linecap="round" stroke-linejoin="round">`
+        );
+
+        // One path per line weight
+        layer.strokes.forEach((stroke) => {
+            const d = stroke.paths.map((path) => {
+                let segment = `M${round(path[0])} ${round(path[1])}`;
+                for (let i = 2; i < path.length; i += 2) segment += `L${round(path[i])} ${round(path[i + 1])}`;
+                return segment;
+            }).join('');
+            const opacity = stroke.opacity < 1 ? ` stroke-opacity="${round(stroke.opacity)}"` : '';
+            const dash = stroke.dash ? ` stroke-dasharray="${stroke.dash.map(round).join(' ')}"` : '';
+            lines.push(`    <path stroke-width="${round(stroke.width)}"${opacity}${dash} d="${d}"/>`);
+        });
+        lines.push('  </g>');
+    });
+
+    lines.push('</svg>');
+    return lines.join('\n');
+}
+
+// PDF text string as UTF-16BE hex, safe for any part name
+function pdfText(text) {
+    let hex = '<FEFF';
+    for (const character of String(text)) {
+        const code = character.codePointAt(0);
+        if (code > 0xffff) {
+            const offset = code - 0x10000;
+            hex += (0xd800 + (offset >> 10)).toString(16).padStart(4, '0');
+            hex += (0xdc00 + (offset & 0x3ff)).toString(16).padStart(4, '0');
+        } else {
+            hex += code.toString(16).padStart(4, '0');
+        }
+    }
+    return hex.toUpperCase() + '>';
+}
+
+// Minimal PDF 1.5: one page, vector paths, one optional-content group (layer) per component
+export function buildPDF(drawing, options = {}) {
+    const pointsPerPixel = 0.75; // CSS px -> pt
+    const bounds = drawingBounds(drawing, options.margin ?? 10);
+    const pageWidth = bounds.width * pointsPerPixel;
+    const pageHeight = bounds.height * pointsPerPixel;
+    const number = (value) => (Math.round(value * 100) / 100).toString();
+
+    // PDF y runs bottom-up
+    const toPage = (x, y) => `${number((x - bounds.x) * pointsPerPixel)} ${number((bounds.y + bounds.height - y) * pointsPerPixel)}`;
+
+    const visibleLayers = drawing.layers.filter((layer) => layer.strokes.length > 0);
+    const content = ['1 J 1 j'];
+
+    // PDF colour operands are plain sRGB components, not three's linear working space
+    const rgb = (color) => new THREE.Color(color).getRGB({}, THREE.SRGBColorSpace);
+    const operands = ({ r, g, b }) => `${number(r)} ${number(g)} ${number(b)}`;
+
+    if (options.background !== undefined && options.background !== null) {
+        content.push(`${operands(rgb(options.background))} rg 0 0 ${number(pageWidth)} ${number(pageHeight)} re f`);
+    }
+
+    // Faded strokes (ghosted parts, hidden lines) use a stroke-alpha graphics state
+    const alphaStates = new Map(); // opacity -> resource name
+
+    visibleLayers.forEach((layer, index) => {
+        content.push(`/OC /L${index} BDC`);
+        layer.strokes.forEach((stroke) => {
+            content.push('q', `${operands(rgb(layer.color))} RG`, `${number(stroke.width * pointsPerPixel)} w`);
+            if (stroke.dash) content.push(`[${stroke.dash.map((value) => number(value * pointsPerPixel)).join(' ')}] 0 d`);
+            if (stroke.opacity < 1) {
+                const opacity = number(stroke.opacity);
+                if (!alphaStates.has(opacity)) alphaStates.set(opacity, `A${alphaStates.size}`);
+                content.push(`/${alphaStates.get(opacity)} gs`);
+            }
+            stroke.paths.forEach((path) => {
+                let segment = `${toPage(path[0], path[1])} m`;
+                for (let i = 2; i < path.length; i += 2) segment += ` ${toPage(path[i], path[i + 1])} l`;
+                content.push(segment + ' S');
+            });
+            content.push('Q');
+        });
+        content.push('EMC');
+    });
+
+    const extGStates = [...alphaStates].map(([opacity, name]) => `/${name} << /Type /ExtGState /CA ${opacity} >>`).join(' ');
+
+    const stream = content.join('\n');
+
+    // Objects: 1 catalog, 2 pages, 3 page, 4 content, 5.. OCGs
+    const ocgStart = 5;
+    const ocgRefs = visibleLayers.map((layer, index) => `${ocgStart + index} 0 R`).join(' ');
+    const properties = visibleLayers.map((layer, index) => `/L${index} ${ocgStart + index} 0 R`).join(' ');
+
+    const objects = [
+        `<< /Type /Catalog /Pages 2 0 R /OCProperties << /OCGs [${ocgRefs}] /D << /Order [${ocgRefs}] /ON [${ocgRefs}] >> >> >>`,
+        '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+        `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${number(pageWidth)} ${number(pageHeight)}] ` +
+        `/Contents 4 0 R /Resources << /Properties << ${properties} >> /ExtGState << ${extGStates} >> >> >>`,
+        `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`,
+        ...visibleLayers.map((layer) => `<< /Type /OCG /Name ${pdfText(layer.name)} >>`)
+    ];
+
+    // Everything above is ASCII, so string length equals byte length
+    let pdf = '%PDF-1.5\n';
+    const offsets = objects.map((object, index) => {
+        const offset = pdf.length;
+        pdf += `${index + 1} 0 obj\n${object}\nendobj\n`;
+        return offset;
+    });
+
+    const xrefOffset = pdf.length;
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    offsets.forEach((offset) => {
+        pdf += `${String(offset).padStart(10, '0')} 00000 n \n`;
+    });
+    pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+    return new TextEncoder().encode(pdf);
+}
+
+export function downloadFile(data, filename, type) {
+    const url = URL.createObjectURL(new Blob([data], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
@@ -0,0 +1,592 @@
+import * as THREE from 'three';
+import { Line2 } from 'three/addons/lines/Line2.js';
+import { LineGeometry } from 'three/addons/lines/LineGeometry.js';
+import { LineMaterial } from 'three/addons/lines/LineMaterial.js';
+import { compileNamePattern, componentNames } from './sequence.js';
+import { updateLineResolution } from './line-styles.js';
+
+// Wire routing
+//
+// A netlist (wire list) names the wires between components. Each wire is routed
+// as a polyline from its first component down into the nearest wire duct, along
+// the ducts and out to its second component, then drawn in once the parts have
+// finished assembling. Hovering a wire shows its ID, gauge and colour.
+//
+// CSV with a header row (comma or semicolon separated), or JSON: an array of
+// rows or { "wires": [...] } with the same keys.
+//
+//   id,from,to,gauge,color
+//   W1,circ_breaker:2,breaker.001:1,2.5 mm²,BN
+//
+// from/to: "component:terminal". The component is a node name matched like the
+//          sequence manifest's (exact, glob or /regex/flags); the terminal is
+//          only a label. JSON may also give { "component": ..., "terminal": ... }
+// id:      wire ID (default W1, W2... in list order)
+// gauge:   cross-section as written, e.g. "1.5 mm²" or "16 AWG"
+// color:   IEC 60757 code (BK, BU, GNYE...) or any CSS colour
+//
+// Ducts are the components matching the `ducts` name rules (default: names
+// with duct, trunking or channel, and the "duct" category from extras). Each
+// runs along its longest side, and ducts whose bounds touch are joined, so a
+// wire takes the chain of ducts with the fewest hops. Without a duct path a
+// wire runs straight across, one axis at a time.
+//
+// Wires in a duct are spread across its cross-section so they don't draw over
+// each other. Behind a surface (inside a duct, mostly) they are drawn dashed
+// like hidden lines.
+
+export const DEFAULT_DUCTS = ['/duct|trunking|channel/i'];
+
+// IEC 60757 colour codes
+export const WIRE_COLORS = {
+    BK: 0x000000, BN: 0x8b4a2b, RD: 0xd0312d, OG: 0xf28a1a, YE: 0xf2d024, GN: 0x2f9e44,
+    BU: 0x2b6cd0, VT: 0x7e3fb0, GY: 0x8c8c8c, WH: 0xffffff, PK: 0xf08cb4, GD: 0xc9a227,
+    TQ: 0x2ab3a6, SR: 0xc0c0c0, GNYE: 0x8fbf2a
+};
+
+const WIRE_WIDTH = 1.5; // px
+const HOVER_WIDTH = 3; // px
+const HOVER_DISTANCE = 6; // px from the pointer to a wire
+const LABEL_OFFSET = 24; // px from the hovered point up to the ID; the details go below it
+const DRAW_DURATION = 2000; // ms for every wire to draw in, at playback rate 1
+const WIRE_DURATION = 600; // ms for one wire; the rest is stagger
+const DUCT_SPREAD = 0.5; // Fraction of a duct's narrower side the wires spread across
+const MIN_CONTRAST = 0.2; // Luminance difference from the background before a colour is lightened or darkened
+const GOLDEN_RATIO = 0.6180339887;
+
+// Column names people actually use -> wire keys
+const COLUMNS = {
+    id: 'id', wire: 'id', wireid: 'id', wireno: 'id', label: 'id',
+    from: 'from', fromterminal: 'from', source: 'from',
+    to: 'to', toterminal: 'to', target: 'to', destination: 'to',
+    gauge: 'gauge', size: 'gauge', crosssection: 'gauge', awg: 'gauge',
+    color: 'color', colour: 'color'
+};
+
+export async function loadNetlist(source) {
+    // Accept either a URL or already-parsed wires
+    if (typeof source !== 'string') return normalizeNetlist(source);
+
+    const response = await fetch(source);
+    if (!response.ok) {
+        throw new Error(`Netlist file ${source} returned ${response.status}`);
+    }
+    const text = await response.text();
+    return normalizeNetlist(/^\s*[[{]/.test(text) ? JSON.parse(text) : parseCSV(text));
+}
+
+// Rows of a CSV file with a header row, as objects keyed by the header
+export function parseCSV(text) {
+    const lines = text.replace(/^﻿/, '').split(/\r?\n/).filter((line) => line.trim() !== '');
+    if (lines.length === 0) return [];
+
+    // Spreadsheets set to a decimal comma export with semicolons
+    const delimiter = lines[0].includes(';') && !lines[0].includes(',') ? ';' : ',';
+    const [header, ...rows] = lines.map((line) => splitCSVLine(line, delimiter));
+    return rows.map((cells) => Object.fromEntries(header.map((key, i) => [key, cells[i] ?? ''])));
+}
+
+function splitCSVLine(line, delimiter) {
+    const cells = [];
+    let cell = '';
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quoted) {
+            if (char === '"' && line[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === delimiter) {
+            cells.push(cell.trim());
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    cells.push(cell.trim());
+    return cells;
+}
+
+// [{ id, from: { text, matches, terminal }, to, gauge, color }]
+export function normalizeNetlist(data) {
+    const rows = Array.isArray(data) ? data : data && data.wires;
+    if (!Array.isArray(rows)) {
+        throw new Error('Netlist needs a list of wires (CSV rows, an array or a "wires" array)');
+    }
+
+    const wires = [];
+    rows.forEach((row, index) => {
+        const wire = {};
+        Object.entries(row).forEach(([key, value]) => {
+            const name = COLUMNS[key.toLowerCase().replace(/[^a-z]/g, '')];
+            if (name && value !== '' && value !== null && value !== undefined) wire[name] = value;
+        });
+
+        if (!wire.from || !wire.to) {
+            console.warn(`Netlist row ${index + 1} needs "from" and "to", skipped`);
+            return;
+        }
+        wires.push({
+            id: String(wire.id ?? `W${wires.length + 1}`),
+            from: parseEnd(wire.from),
+            to: parseEnd(wire.to),
+            gauge: wire.gauge ? String(wire.gauge) : '',
+            color: wire.color ? String(wire.color) : ''
+        });
+    });
+    return wires;
+}
+
+// "breaker.001:2" -> component "breaker.001", terminal "2"
+function parseEnd(value) {
+    let component = value;
+    let terminal = '';
+    if (typeof value === 'object') {
+        ({ component = '', terminal = '' } = value);
+    } else {
+        const split = value.lastIndexOf(':');
+        if (split > 0) {
+            component = value.slice(0, split);
+            terminal = value.slice(split + 1);
+        }
+    }
+    component = String(component).trim();
+    terminal = String(terminal).trim();
+    return {
+        text: terminal ? `${component}:${terminal}` : component,
+        matches: compileNamePattern(component),
+        terminal
+    };
+}
+
+export function wireColor(color, fallback) {
+    if (!color) return new THREE.Color(fallback);
+    const code = WIRE_COLORS[color.toUpperCase().replace(/[^A-Z]/g, '')];
+    return new THREE.Color(code ?? color); // CSS colours; three warns about unknown ones
+}
+
+export class WireHarness {
+    constructor(viewer, options = {}) {
+        this.viewer = viewer;
+        this.ductMatchers = (options.ducts || DEFAULT_DUCTS).map(compileNamePattern);
+        this.wires = []; // [{ ...netlist wire, route: [Vector3], lengths, geometry, line, hiddenLine, drawn, displayColor }]
+        this.hovered = null; // { wire, point (world) }
+        this.drawStart = null; // Time the wires started drawing in, null while hidden
+
+        this.root = new THREE.Group();
+        this.root.name = 'Wires';
+        this.root.visible = false;
+        viewer.scene.add(this.root);
+
+        // Visible and dashed hidden passes, plus a wider pair for the hovered wire
+        const createMaterials = (linewidth) => {
+            const material = new LineMaterial({ vertexColors: true, linewidth });
+            const hiddenMaterial = new LineMaterial({
+                vertexColors: true,
+                linewidth,
+                dashed: true,
+                transparent: true,
+                depthWrite: false,
+                depthFunc: THREE.GreaterDepth // Only where a surface (a duct cover) is in front
+            });
+            return { material, hiddenMaterial };
+        };
+        this.normal = createMaterials(WIRE_WIDTH);
+        this.hover = createMaterials(HOVER_WIDTH);
+        this.setStyle(viewer.lineStyle);
+
+        const layer = viewer.annotationLayer;
+        this.label = layer.create('text', layer.element, 'annotation-label wire-label');
+        this.idText = layer.create('tspan', this.label, 'wire-label-id');
+        this.detailText = layer.create('tspan', this.label);
+        this.label.style.display = 'none';
+        this.a = new THREE.Vector2();
+        this.b = new THREE.Vector2();
+    }
+
+    get materials() {
+        return [this.normal.material, this.normal.hiddenMaterial, this.hover.material, this.hover.hiddenMaterial];
+    }
+
+    // Dashes and fading follow the hidden-line style
+    setStyle(style) {
+        [this.normal.hiddenMaterial, this.hover.hiddenMaterial].forEach((material) => {
+            material.opacity = style.hiddenOpacity;
+            material.dashSize = style.dashSize;
+            material.gapSize = style.gapSize;
+        });
+    }
+
+    // Route every wire of `netlist` across the assembled model; null clears them
+    build(netlist) {
+        this.clear();
+        const viewer = this.viewer;
+        if (!netlist || viewer.components.length === 0) return;
+
+        const size = viewer.modelBounds.getSize(new THREE.Vector3());
+        const ducts = this.findDucts(Math.max(size.x, size.y, size.z) * 0.01);
+        if (ducts.length === 0) console.warn('No wire ducts found, wires run straight between components');
+
+        const findComponent = ({ matches }) => viewer.components.find((component) => componentNames(component).some(matches));
+
+        netlist.forEach((entry) => {
+            const from = findComponent(entry.from);
+            const to = findComponent(entry.to);
+            if (!from || !to) {
+                console.warn(`Wire ${entry.id}: no component matches "${(from ? entry.to : entry.from).text}", skipped`);
+                return;
+            }
+
+            const route = this.route(viewer.componentBoxes.get(from), viewer.componentBoxes.get(to), ducts, this.wires.length);
+            const geometry = new LineGeometry();
+            geometry.setPositions(route.flatMap((point) => point.toArray()));
+
+            const line = new Line2(geometry, this.normal.material);
+            const hiddenLine = new Line2(geometry, this.normal.hiddenMaterial);
+            line.computeLineDistances();
+            [line, hiddenLine].forEach((object) => {
+                object.frustumCulled = false;
+                this.root.add(object);
+            });
+
+            this.wires.push({
+                ...entry,
+                route,
+                lengths: route.map((point, i) => (i === 0 ? 0 : point.distanceTo(route[i - 1]))),
+                geometry,
+                line,
+                hiddenLine,
+                drawn: 1, // Fraction of the route drawn
+                displayColor: 0
+            });
+        });
+
+        this.setTheme(viewer.theme);
+        this.viewer.requestRender();
+    }
+
+    clear() {
+        this.setHovered(null);
+        this.wires.forEach(({ geometry }) => geometry.dispose());
+        this.wires = [];
+        this.root.clear();
+        this.drawStart = null;
+    }
+
+    // Ducts with their centrelines: [{ box, axis, start, end }]
+    findDucts(tolerance) {
+        const viewer = this.viewer;
+        const ducts = viewer.componentGroups
+            .filter(({ group, category }) => category === 'duct'
+                || componentNames(group).some((name) => this.ductMatchers.some((matches) => matches(name))))
+            .map(({ group }) => {
+                const box = viewer.componentBoxes.get(group);
+                const size = box.getSize(new THREE.Vector3());
+                const axis = ['x', 'y', 'z'].reduce((longest, other) => (size[other] > size[longest] ? other : longest));
+                const start = box.getCenter(new THREE.Vector3());
+                const end = start.clone();
+                start[axis] = box.min[axis];
+                end[axis] = box.max[axis];
+                const across = ['x', 'y', 'z'].filter((other) => other !== axis).map((other) => size[other]);
+                return { box, axis, start, end, width: Math.min(...across), neighbours: [] };
+            });
+
+        // Ducts whose bounds touch are joined
+        const expanded = new THREE.Box3();
+        ducts.forEach((duct, i) => ducts.slice(i + 1).forEach((other) => {
+            if (!expanded.copy(duct.box).expandByScalar(tolerance).intersectsBox(other.box)) return;
+            duct.neighbours.push(other);
+            other.neighbours.push(duct);
+        }));
+        return ducts;
+    }
+
+    // Polyline from one component's bounds to the other's through the ducts; `index`
+    // sets the wire's place across each duct
+    route(fromBox, toBox, ducts, index) {
+        const fromCenter = fromBox.getCenter(new THREE.Vector3());
+        const toCenter = toBox.getCenter(new THREE.Vector3());
+        const first = nearestDuct(ducts, fromCenter);
+        const last = nearestDuct(ducts, toCenter);
+        const path = first && last ? ductPath(first, last) : null;
+
+        if (!path) {
+            // Straight across, from the facing sides
+            return orthogonal([fromBox.clampPoint(toCenter, new THREE.Vector3()), toBox.clampPoint(fromCenter, new THREE.Vector3())]);
+        }
+
+        // Into the first duct where it passes closest, across every joint, out of the last
+        const entry = closestOnSegment(first.start, first.end, fromCenter);
+        const exit = closestOnSegment(last.start, last.end, toCenter);
+        const inside = [entry];
+        for (let i = 1; i < path.length; i++) {
+            const [a, b] = closestBetweenSegments(path[i - 1], path[i]);
+            inside.push(a, b);
+        }
+        inside.push(exit);
+
+        // Spread across the narrowest duct on the way so wires sharing it stay apart
+        const spread = Math.min(...path.map((duct) => duct.width)) * DUCT_SPREAD;
+        const offset = new THREE.Vector3(
+            fraction(index * GOLDEN_RATIO) - 0.5,
+            fraction(index * GOLDEN_RATIO * 2) - 0.5,
+            fraction(index * GOLDEN_RATIO * 3) - 0.5
+        ).multiplyScalar(spread);
+        inside.forEach((point) => point.add(offset));
+
+        return orthogonal([fromBox.clampPoint(inside[0], new THREE.Vector3()), ...inside, toBox.clampPoint(exit, new THREE.Vector3())]);
+    }
+
+    // Draw-in and visibility for this frame; true while wires are still drawing in
+    update() {
+        const viewer = this.viewer;
+
+        // Only on the assembled panel: not mid-run, exploded or in the build steps
+        const assembled = this.wires.length > 0 && viewer.currentProgress >= 1
+            && viewer.explodeFactor === 0 && !viewer.workInstructions.active;
+        const now = performance.now();
+        if (!assembled) {
+            this.drawStart = null;
+            this.setHovered(null);
+        } else if (this.drawStart === null) {
+            this.drawStart = viewer.prefersReducedMotion() ? -Infinity : now;
+        }
+        this.root.visible = assembled;
+        if (!assembled) return false;
+
+        // Wires start one after another in list order
+        const elapsed = (now - this.drawStart) * viewer.playbackRate;
+        const stagger = this.wires.length > 1 ? (DRAW_DURATION - WIRE_DURATION) / (this.wires.length - 1) : 0;
+        let drawing = false;
+        this.wires.forEach((wire, index) => {
+            const t = THREE.MathUtils.clamp((elapsed - index * stagger) / WIRE_DURATION, 0, 1);
+            if (t !== wire.drawn) drawTo(wire, t);
+            if (t < 1) drawing = true;
+        });
+
+        const planes = viewer.sections.activePlanes();
+        this.materials.forEach((material) => {
+            material.clippingPlanes = planes;
+        });
+        updateLineResolution(this.materials, viewer.renderer, viewer.camera, viewer.controls.target);
+        return drawing;
+    }
+
+    // Wire under the pointer, or null; wires are hovered ahead of parts
+    wireAt(event) {
+        if (!this.root.visible) return null;
+        const layer = this.viewer.annotationLayer;
+        const pointer = layer.pointer(event, new THREE.Vector2());
+        const closest = new THREE.Vector2();
+
+        let nearest = null;
+        this.wires.forEach((wire) => {
+            if (wire.drawn < 1) return;
+            for (let i = 1; i < wire.route.length; i++) {
+                const start = wire.route[i - 1];
+                const end = wire.route[i];
+                if (!layer.project(start, this.a) || !layer.project(end, this.b)) continue;
+
+                // Closest point of the leg on screen
+                const leg = this.b.sub(this.a);
+                const t = THREE.MathUtils.clamp(closest.subVectors(pointer, this.a).dot(leg) / Math.max(leg.lengthSq(), 1e-9), 0, 1);
+                const distance = closest.copy(this.a).addScaledVector(leg, t).distanceTo(pointer);
+                if (distance < HOVER_DISTANCE && (!nearest || distance < nearest.distance)) {
+                    nearest = { wire, distance, point: start.clone().lerp(end, t) };
+                }
+            }
+        });
+        return nearest;
+    }
+
+    setHovered(hit) {
+        const previous = this.hovered && this.hovered.wire;
+        this.hovered = hit;
+        const wire = hit && hit.wire;
+        if (wire === previous) {
+            this.updateLabel();
+            return;
+        }
+
+        if (previous) {
+            previous.line.material = this.normal.material;
+            previous.hiddenLine.material = this.normal.hiddenMaterial;
+        }
+        if (wire) {
+            wire.line.material = this.hover.material;
+            wire.hiddenLine.material = this.hover.hiddenMaterial;
+            this.idText.textContent = wire.id;
+            this.detailText.textContent = [wire.gauge, wire.color, `${wire.from.text} → ${wire.to.text}`]
+                .filter(Boolean).join('  ');
+        }
+        this.updateLabel();
+        this.viewer.requestRender();
+    }
+
+    // Keeps the label beside the hovered point; called after every render
+    updateLabel() {
+        const visible = this.hovered && this.viewer.annotationLayer.project(this.hovered.point, this.a);
+        this.label.style.display = visible ? '' : 'none';
+        if (!visible) return;
+
+        const x = this.a.x.toFixed(1);
+        this.label.setAttribute('x', x);
+        this.label.setAttribute('y', (this.a.y - LABEL_OFFSET).toFixed(1));
+        this.idText.setAttribute('x', x);
+        this.detailText.setAttribute('x', x);
+        this.detailText.setAttribute('dy', '1.2em');
+    }
+
+    // One vector export layer per wire while they are shown, dashed inside the ducts
+    exportLayers(style) {
+        if (!this.root.visible) return [];
+        return this.wires.map((wire) => ({
+            name: wire.id,
+            color: wire.displayColor,
+            opacity: 1,
+            lines: [wire.line],
+            hidden: { width: WIRE_WIDTH, opacity: style.hiddenOpacity, dash: [style.dashSize, style.gapSize] }
+        }));
+    }
+
+    // Wire colours are kept readable against the background
+    setTheme(theme) {
+        const background = new THREE.Color(theme.background);
+        const backgroundLuminance = luminance(background);
+        const readable = new THREE.Color();
+        this.wires.forEach((wire) => {
+            readable.copy(wireColor(wire.color, theme.edge));
+            const difference = luminance(readable) - backgroundLuminance;
+            if (Math.abs(difference) < MIN_CONTRAST) {
+                readable.lerp(new THREE.Color(backgroundLuminance < 0.5 ? 0xffffff : 0x000000), 0.5);
+            }
+
+            wire.displayColor = readable.getHex();
+            wire.geometry.setColors(wire.route.flatMap(() => readable.toArray()));
+        });
+        this.viewer.requestRender();
+    }
+
+    dispose() {
+        this.clear();
+        this.viewer.scene.remove(this.root);
+        this.materials.forEach((material) => material.dispose());
+        this.label.remove();
+    }
+}
+
+// Relative luminance of the colour as displayed (sRGB)
+function luminance(color) {
+    const { r, g, b } = color.clone().convertLinearToSRGB();
+    return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+function fraction(value) {
+    return value - Math.floor(value);
+}
+
+function closestOnSegment(start, end, point) {
+    return new THREE.Line3(start, end).closestPointToPoint(point, true, new THREE.Vector3());
+}
+
+// Duct whose centreline passes closest to `point`
+function nearestDuct(ducts, point) {
+    let nearest = null;
+    let best = Infinity;
+    ducts.forEach((duct) => {
+        const distance = closestOnSegment(duct.start, duct.end, point).distanceTo(point);
+        if (distance < best) {
+            best = distance;
+            nearest = duct;
+        }
+    });
+    return nearest;
+}
+
+// Fewest-hop chain of joined ducts, or null when they aren't connected
+function ductPath(first, last) {
+    const previous = new Map([[first, null]]);
+    const queue = [first];
+    while (queue.length > 0) {
+        const duct = queue.shift();
+        if (duct === last) break;
+        duct.neighbours.forEach((next) => {
+            if (previous.has(next)) return;
+            previous.set(next, duct);
+            queue.push(next);
+        });
+    }
+    if (!previous.has(last)) return null;
+
+    const path = [];
+    for (let duct = last; duct; duct = previous.get(duct)) path.unshift(duct);
+    return path;
+}
+
+// Where two ducts' centrelines pass closest: [point on a, point on b]
+function closestBetweenSegments(a, b) {
+    // Alternating projections settle quickly for the straight runs of a panel
+    const onA = a.start.clone().lerp(a.end, 0.5);
+    const onB = closestOnSegment(b.start, b.end, onA);
+    for (let i = 0; i < 4; i++) {
+        onA.copy(closestOnSegment(a.start, a.end, onB));
+        onB.copy(closestOnSegment(b.start, b.end, onA));
+    }
+    return [onA, onB];
+}
+
+// Adds corners so every leg runs along one axis, the longest move first; legs
+// carrying on along the same axis are merged
+function orthogonal(points) {
+    const result = [points[0].clone()];
+    let lastAxis = null;
+    let lastSign = 0;
+    for (let i = 1; i < points.length; i++) {
+        const to = points[i];
+        const corner = result[result.length - 1].clone();
+        const delta = to.clone().sub(corner);
+        const axes = ['x', 'y', 'z'].sort((p, q) => Math.abs(delta[q]) - Math.abs(delta[p]));
+        axes.forEach((axis) => {
+            if (Math.abs(delta[axis]) < 1e-9) return;
+            corner[axis] = to[axis];
+            const sign = Math.sign(delta[axis]);
+            if (axis === lastAxis && sign === lastSign) {
+                result[result.length - 1].copy(corner);
+            } else {
+                result.push(corner.clone());
+            }
+            lastAxis = axis;
+            lastSign = sign;
+        });
+    }
+    return result;
+}
+
+// Shows the first `t` of a wire's length: the legs before it whole, the one it ends in cut short
+function drawTo(wire, t) {
+    const { route, lengths, geometry } = wire;
+    const segments = geometry.attributes.instanceStart.data; // xyz, xyz per leg
+    let remaining = t * lengths.reduce((sum, length) => sum + length, 0);
+    let count = 0;
+    for (let i = 1; i < route.length; i++) {
+        const end = remaining >= lengths[i] || t >= 1
+            ? route[i]
+            : route[i - 1].clone().lerp(route[i], Math.max(remaining, 0) / lengths[i]);
+        end.toArray(segments.array, (i - 1) * 6 + 3);
+        if (remaining > 0) count = i;
+        remaining -= lengths[i];
+    }
+    // At the end every leg is whole, whatever rounding left of `remaining`
+    if (t >= 1) count = route.length - 1;
+
+    geometry.instanceCount = count;
+    segments.needsUpdate = true;
+    wire.drawn = t;
+}
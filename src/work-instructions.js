@@ -0,0 +1,257 @@
+import { GHOST_OPACITY } from './picking.js';
+
+// Work-instruction mode
+//
+// Turns the assembly sequence into discrete build steps for the shop floor.
+// Each step shows the parts it adds in the highlight colour, with everything
+// installed before it ghosted and everything after it left out, next to a
+// panel with a step counter, caption and notes. Next plays only that step's
+// parts in; Previous plays them back out.
+//
+// Steps are the sequence manifest's steps in timeline order, plus one for the
+// components no step matched. The step text comes from a data file:
+//
+// {
+//     "steps": [
+//         { "step": "Breakers", "caption": "Clip the breakers onto the top rail.",
+//           "torque": "2.0 Nm", "wiring": "Line side at the top", "note": "Left to right as labelled" }
+//     ]
+// }
+//
+// step:    sequence step name it describes (REMAINING_STEP for unmatched parts)
+// caption: what to do
+// torque, wiring, note: optional, shown as labelled notes
+
+export const REMAINING_STEP = 'Remaining parts';
+const STEP_DURATION = 1500; // ms to play one step in or out, at playback rate 1
+const NOTE_LABELS = { torque: 'Torque', wiring: 'Wiring', note: 'Note' };
+
+export async function loadInstructions(source) {
+    // Accept either a URL or an already-parsed object
+    if (typeof source !== 'string') return normalizeInstructions(source);
+
+    const response = await fetch(source);
+    if (!response.ok) {
+        throw new Error(`Instruction file ${source} returned ${response.status}`);
+    }
+    return normalizeInstructions(await response.json());
+}
+
+// Step name -> { caption, notes: [[label, text]] }
+export function normalizeInstructions(data) {
+    if (!data || !Array.isArray(data.steps)) {
+        throw new Error('Instruction file needs a "steps" array');
+    }
+
+    const texts = new Map();
+    data.steps.forEach((entry, index) => {
+        if (!entry.step) {
+            console.warn(`Instruction ${index} has no "step" name, skipped`);
+            return;
+        }
+        texts.set(entry.step, {
+            caption: entry.caption || '',
+            notes: Object.entries(NOTE_LABELS)
+                .filter(([key]) => entry[key])
+                .map(([key, label]) => [label, String(entry[key])])
+        });
+    });
+    return texts;
+}
+
+export class WorkInstructions {
+    constructor(viewer) {
+        this.viewer = viewer;
+        this.active = false;
+        this.steps = []; // [{ name, start, end, components }], timeline order
+        this.stepOf = new Map(); // component group -> step index
+        this.index = 0; // Step shown in the panel
+        this.moving = 0; // Step whose parts are placed by the timeline
+
+        this.panel = this.createPanel();
+    }
+
+    createPanel() {
+        const panel = document.createElement('aside');
+        panel.className = 'instruction-panel';
+        panel.setAttribute('aria-live', 'polite');
+        panel.hidden = true;
+        panel.innerHTML = `
+            <p class="instruction-counter"></p>
+            <h3 class="instruction-name"></h3>
+            <p class="instruction-caption"></p>
+            <dl class="instruction-notes"></dl>
+            <div class="instruction-actions">
+                <button type="button" data-action="previous">Previous</button>
+                <button type="button" data-action="next">Next</button>
+                <button type="button" data-action="exit">Exit</button>
+            </div>
+        `;
+
+        const actions = {
+            previous: () => this.previous(),
+            next: () => this.next(),
+            exit: () => this.stop()
+        };
+        panel.querySelectorAll('[data-action]').forEach((button) => {
+            button.addEventListener('click', actions[button.dataset.action]);
+        });
+
+        this.viewer.overlayElement.appendChild(panel);
+        return panel;
+    }
+
+    // Steps from the resolved timeline; parts no sequence step claimed come last
+    collectSteps() {
+        const viewer = this.viewer;
+        const steps = viewer.steps.map(({ name, start, end }) => ({ name, start, end, components: [] }));
+        const byName = new Map(steps.map((step) => [step.name, step]));
+        const remaining = { name: REMAINING_STEP, start: 1, end: 0, components: [] };
+
+        viewer.components.forEach((component) => {
+            const timing = viewer.componentTimings.get(component);
+            const step = (timing.step && byName.get(timing.step)) || remaining;
+            if (step === remaining) {
+                remaining.start = Math.min(remaining.start, timing.start);
+                remaining.end = Math.max(remaining.end, timing.end);
+            }
+            step.components.push(component);
+        });
+        if (remaining.components.length > 0) steps.push(remaining);
+
+        this.stepOf.clear();
+        steps.forEach((step, index) => step.components.forEach((component) => this.stepOf.set(component, index)));
+        return steps;
+    }
+
+    start(index = 0) {
+        const viewer = this.viewer;
+        if (viewer.components.length === 0) return;
+
+        this.steps = this.collectSteps();
+        this.active = true;
+        viewer.pause();
+        viewer.setInteractive(false); // No picking or exploding; the steps own the styling
+        viewer.setAutoRotate(false);
+        viewer.controls.enableRotate = true; // Assemblers can still look around
+        this.panel.hidden = false;
+        viewer.notifyPlayback();
+
+        this.playIn(Math.min(Math.max(index, 0), this.steps.length - 1));
+    }
+
+    stop() {
+        if (!this.active) return;
+        const viewer = this.viewer;
+
+        this.active = false;
+        viewer.stepRun = null;
+        this.panel.hidden = true;
+        this.resetStyle();
+
+        // Back to the assembled panel, ready for picking and playback
+        viewer.seek(1);
+        viewer.notifyPlayback();
+    }
+
+    next() {
+        if (this.active && this.index < this.steps.length - 1) this.playIn(this.index + 1);
+    }
+
+    previous() {
+        if (!this.active || this.index === 0) return;
+
+        // The current step's parts play back out, then the one before is shown installed
+        const step = this.steps[this.index];
+        this.show(this.index - 1, this.index);
+        this.viewer.runTimeline(step.end, step.start, STEP_DURATION, () => {
+            this.moving = this.index;
+            this.applyStyle();
+            this.viewer.applyProgress(this.steps[this.index].end);
+        });
+    }
+
+    playIn(index) {
+        const step = this.steps[index];
+        this.show(index, index);
+
+        // Earlier steps snap into place and this one starts from its approach
+        this.viewer.applyProgress(step.start);
+        this.viewer.runTimeline(step.start, step.end, STEP_DURATION);
+    }
+
+    show(index, moving) {
+        this.index = index;
+        this.moving = moving;
+        this.applyStyle();
+        this.updatePanel();
+
+        const step = this.steps[index];
+        this.viewer.dispatchEvent({ type: 'instructionstep', index, count: this.steps.length, step: step.name });
+    }
+
+    // Timeline position a component is placed at while steps are shown
+    positionOf(component, progress) {
+        const index = this.stepOf.get(component);
+        if (index < this.moving) return 1; // Installed
+        if (index > this.moving) return 0; // Not yet (and hidden)
+        return progress;
+    }
+
+    applyStyle() {
+        const viewer = this.viewer;
+        viewer.componentGroups.forEach(({ group, parts }) => {
+            const index = this.stepOf.get(group);
+            group.visible = index <= this.moving;
+
+            const installed = index < this.moving;
+            parts.forEach((part) => {
+                part.color.setHex(installed ? part.baseColor : viewer.theme.highlight);
+                part.opacity = installed ? GHOST_OPACITY : 1;
+                part.showHiddenLines = !installed;
+                // Installed parts don't hide the new ones behind them
+                part.occludes = !installed;
+            });
+        });
+        viewer.requestRender();
+    }
+
+    resetStyle() {
+        this.viewer.componentGroups.forEach(({ group, parts }) => {
+            group.visible = true;
+            parts.forEach((part) => {
+                part.color.setHex(part.baseColor);
+                part.opacity = 1;
+                part.showHiddenLines = true;
+                part.occludes = true;
+            });
+        });
+        this.viewer.requestRender();
+    }
+
+    updatePanel() {
+        const step = this.steps[this.index];
+        const text = (this.viewer.instructionTexts && this.viewer.instructionTexts.get(step.name)) || { caption: '', notes: [] };
+
+        this.panel.querySelector('.instruction-counter').textContent = `Step ${this.index + 1} of ${this.steps.length}`;
+        this.panel.querySelector('.instruction-name').textContent = step.name;
+        this.panel.querySelector('.instruction-caption').textContent = text.caption;
+
+        const notes = this.panel.querySelector('.instruction-notes');
+        notes.replaceChildren();
+        text.notes.forEach(([label, value]) => {
+            const term = document.createElement('dt');
+            term.textContent = label;
+            const description = document.createElement('dd');
+            description.textContent = value;
+            notes.append(term, description);
+        });
+
+        this.panel.querySelector('[data-action="previous"]').disabled = this.index === 0;
+        this.panel.querySelector('[data-action="next"]').disabled = this.index === this.steps.length - 1;
+    }
+
+    dispose() {
+        this.panel.remove();
+    }
+}
@@ -0,0 +1,74 @@
+// Small pool of identical workers
+//
+// Jobs are queued and handed to whichever worker is free; each worker runs one
+// job at a time. Workers speak the same protocol as step-worker.js: the job's
+// message gets an `id`, and the worker answers { id, type: 'done', result } or
+// { id, type: 'error', message }. Workers start on first use.
+
+export class WorkerPool {
+    constructor(url, options = {}) {
+        this.url = url;
+        this.workerOptions = options.workerOptions || {};
+        this.size = options.size || Math.max(1, Math.min(4, (navigator.hardwareConcurrency || 2) - 1));
+
+        this.workers = [];
+        this.idle = [];
+        this.queue = [];
+        this.running = new Map(); // worker -> job
+        this.nextId = 0;
+    }
+
+    run(message, transfer = []) {
+        return new Promise((resolve, reject) => {
+            this.queue.push({ id: ++this.nextId, message, transfer, resolve, reject });
+            this.dispatch();
+        });
+    }
+
+    dispatch() {
+        while (this.queue.length > 0) {
+            const worker = this.idle.pop() || this.spawn();
+            if (!worker) return;
+
+            const job = this.queue.shift();
+            this.running.set(worker, job);
+            worker.postMessage({ ...job.message, id: job.id }, job.transfer);
+        }
+    }
+
+    spawn() {
+        if (this.workers.length >= this.size) return null;
+
+        const worker = new Worker(this.url, this.workerOptions);
+        worker.onmessage = (event) => {
+            const job = this.running.get(worker);
+            if (!job || event.data.id !== job.id) return;
+
+            this.running.delete(worker);
+            if (event.data.type === 'done') job.resolve(event.data.result);
+            else job.reject(new Error(event.data.message));
+
+            this.idle.push(worker);
+            this.dispatch();
+        };
+        worker.onerror = (event) => {
+            // A worker that can't start (e.g. a CDN import fails) fails everything queued
+            const error = new Error(event.message || 'Worker failed');
+            const job = this.running.get(worker);
+            if (job) job.reject(error);
+            this.queue.splice(0).forEach((queued) => queued.reject(error));
+            this.dispose();
+        };
+
+        this.workers.push(worker);
+        return worker;
+    }
+
+    dispose() {
+        this.workers.forEach((worker) => worker.terminate());
+        this.running.forEach((job) => job.reject(new Error('WorkerPool disposed')));
+        this.workers = [];
+        this.idle = [];
+        this.running.clear();
+    }
+}
@@ -0,0 +1,114 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import * as THREE from 'three';
+import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import { detectComponents } from '../src/components.js';
+import { resolveSequence, normalizeSequence } from '../src/sequence.js';
+import {
+    createAssemblyState, createRandom, runProgress, runPosition,
+    layoutComponents, scatterComponents, poseComponents
+} from '../src/assembly-core.js';
+
+// The sample panel, parsed once; each test lays out its own state from it
+const glb = readFileSync(new URL('../enclosure4.glb', import.meta.url));
+const gltf = await new GLTFLoader().parseAsync(glb.buffer.slice(glb.byteOffset, glb.byteOffset + glb.byteLength), '');
+const manifest = JSON.parse(readFileSync(new URL('../enclosure4.sequence.json', import.meta.url), 'utf8'));
+
+function assemble({ sequence = null, pattern = 'explosion', seed = null } = {}) {
+    const state = createAssemblyState();
+    layoutComponents(state, detectComponents(gltf.scene));
+    state.componentTimings = resolveSequence(state.components, sequence && normalizeSequence(sequence), state.componentSizes);
+    scatterComponents(state, pattern, createRandom(seed));
+    return state;
+}
+
+const poses = (state) => state.components.map((component) =>
+    [...component.position.toArray(), ...component.quaternion.toArray()]);
+
+const isAssembled = (state, component) =>
+    component.position.distanceTo(state.originalPositions.get(component)) < 1e-9;
+
+const isScattered = (state, component) =>
+    component.position.distanceTo(state.scatteredPositions.get(component)) < 1e-9;
+
+const named = (state, prefix) => state.components.filter((component) => component.name.startsWith(prefix));
+
+test('createAssemblyState starts empty', () => {
+    const state = createAssemblyState();
+    assert.deepEqual(state.components, []);
+    assert.equal(state.originalPositions.size, 0);
+    assert.equal(state.explodeFactor, 0);
+    assert.ok(state.modelBounds.isEmpty());
+});
+
+test('layoutComponents groups the panel largest first, centred on the origin', () => {
+    const state = createAssemblyState();
+    const groups = layoutComponents(state, detectComponents(gltf.scene));
+
+    assert.equal(groups.length, 22);
+    assert.equal(state.components.length, 22);
+    assert.equal(state.components[0].name, 'enclosure');
+
+    const sizes = state.components.map((component) => state.componentSizes.get(component));
+    sizes.slice(1).forEach((size, i) => assert.ok(size <= sizes[i]));
+
+    const center = state.modelBounds.getCenter(new THREE.Vector3());
+    assert.ok(center.length() < 1e-6);
+    state.components.forEach((component) => {
+        assert.ok(component.position.equals(state.originalPositions.get(component)));
+        assert.ok(state.componentBoxes.has(component));
+    });
+});
+
+test('scatterComponents repeats with the same seed', () => {
+    assert.deepEqual(poses(assemble({ seed: 42 })), poses(assemble({ seed: 42 })));
+    assert.deepEqual(poses(assemble({ seed: 'rev-a' })), poses(assemble({ seed: 'rev-a' })));
+});
+
+test('scatterComponents differs with another seed', () => {
+    assert.notDeepEqual(poses(assemble({ seed: 42 })), poses(assemble({ seed: 43 })));
+});
+
+test('scatterComponents keeps the largest component in place', () => {
+    const state = assemble({ seed: 42 });
+    assert.ok(isAssembled(state, state.components[0]));
+    state.components.slice(1).forEach((component) => assert.ok(!isAssembled(state, component)));
+});
+
+test('runPosition inverts runProgress', () => {
+    assert.equal(runProgress(0), 0);
+    assert.equal(runProgress(1), 1);
+    assert.equal(runProgress(0.5), 0.875);
+    [0, 0.1, 0.3, 0.5, 0.9, 1].forEach((position) => {
+        assert.ok(Math.abs(runPosition(runProgress(position)) - position) < 1e-12);
+    });
+});
+
+test('poseComponents at 0 leaves every part scattered', () => {
+    const state = assemble({ sequence: manifest, seed: 42 });
+    poseComponents(state, 0);
+    state.components.forEach((component) => assert.ok(isScattered(state, component)));
+});
+
+test('poseComponents at 0.5 has the early steps in and the late ones out', () => {
+    const state = assemble({ sequence: manifest, seed: 42 });
+    poseComponents(state, 0.5);
+
+    const rails = named(state, 'Pano_Ray');
+    const switches = named(state, '194');
+    assert.ok(rails.length > 0 && switches.length > 0);
+
+    assert.ok(isAssembled(state, state.components[0]));
+    rails.forEach((component) => assert.ok(isAssembled(state, component)));
+    switches.forEach((component) => assert.ok(isScattered(state, component)));
+});
+
+test('poseComponents at 1 has the panel assembled', () => {
+    const state = assemble({ sequence: manifest, seed: 42 });
+    poseComponents(state, 1);
+    state.components.forEach((component) => {
+        assert.ok(isAssembled(state, component));
+        assert.ok(component.scale.distanceTo(state.originalScales.get(component)) < 1e-9);
+    });
+});
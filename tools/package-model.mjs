@@ -0,0 +1,370 @@
+#!/usr/bin/env node
+import * as THREE from 'three';
+import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import { MeshoptDecoder } from 'three/addons/libs/meshopt_decoder.module.js';
+import { MeshoptEncoder } from 'meshoptimizer/meshopt_encoder.module.js';
+import { MeshoptSimplifier } from 'meshoptimizer/meshopt_simplifier.module.js';
+import { readFile, writeFile, mkdir } from 'node:fs/promises';
+import path from 'node:path';
+import { DEFAULT_GROUPING, detectComponents, logGroupingReport } from '../src/components.js';
+import { DEFAULT_LOD } from '../src/lod.js';
+import { floatPositions } from '../src/line-styles.js';
+import { shareIdenticalGeometry } from '../src/batching.js';
+import { processMesh } from '../src/mesh-processing.js';
+import { PACKAGE_FORMAT, PACKAGE_VERSION } from '../src/model-package.js';
+
+// Offline model preprocessing
+//
+//   npm run package-model -- <model.glb> [output-folder] [--grouping grouping.json] [--lod lod.json]
+//
+// Runs the viewer's component detection (components.js) and geometry processing
+// (mesh-processing.js) once, in Node, and writes a package (see model-package.js)
+// that AssemblyAnimation loads with no edge extraction or decimation at runtime.
+// --grouping and --lod take JSON files with the same options as the viewer.
+
+const GLB_MAGIC = 0x46546c67; // 'glTF'
+const CHUNK_JSON = 0x4e4f534a;
+const CHUNK_BIN = 0x004e4942;
+const UNSIGNED_SHORT = 5123;
+const UNSIGNED_INT = 5125;
+const FLOAT = 5126;
+
+// Mantissa bits kept by meshopt's exponential filter (lossy, decoded back to floats).
+// 16 bits is well under a micron on a metre-sized panel; normals only feed angle tests
+const POSITION_BITS = 16;
+const NORMAL_BITS = 12;
+
+function parseArguments(argv) {
+    const options = { input: null, output: null, grouping: null, lod: null };
+    const positional = [];
+
+    for (let i = 0; i < argv.length; i++) {
+        const argument = argv[i];
+        if (argument === '--grouping' || argument === '--lod') {
+            options[argument.slice(2)] = argv[++i];
+        } else if (argument === '--help' || argument === '-h') {
+            return null;
+        } else {
+            positional.push(argument);
+        }
+    }
+
+    [options.input, options.output] = positional;
+    if (!options.input) return null;
+    if (!options.output) {
+        options.output = path.join(path.dirname(options.input), `${path.basename(options.input, path.extname(options.input))}.package`);
+    }
+    return options;
+}
+
+async function readJson(file) {
+    return file ? JSON.parse(await readFile(file, 'utf8')) : {};
+}
+
+async function loadModel(file) {
+    const data = await readFile(file);
+    const buffer = data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+
+    const loader = new GLTFLoader();
+    loader.setMeshoptDecoder(MeshoptDecoder);
+    // No DRACOLoader: it decodes in a Web Worker, which Node doesn't have
+    const gltf = await loader.parseAsync(buffer, path.dirname(path.resolve(file)) + path.sep);
+    return gltf.scene;
+}
+
+// Collects the compressed binary chunk and its glTF buffer views
+class BufferWriter {
+    constructor() {
+        this.chunks = [];
+        this.byteLength = 0; // Compressed data (GLB BIN chunk)
+        this.fallbackLength = 0; // Uncompressed size, for the fallback buffer
+        this.bufferViews = [];
+    }
+
+    // mode: meshopt 'ATTRIBUTES' (stride a multiple of 4) or 'TRIANGLES';
+    // filter: 'EXPONENTIAL' when the data comes from quantize()
+    add(array, stride, mode, { target, filter } = {}) {
+        const count = array.byteLength / stride;
+        const encoded = MeshoptEncoder.encodeGltfBuffer(array, count, stride, mode);
+
+        const bufferView = {
+            buffer: 1,
+            byteOffset: this.fallbackLength,
+            byteLength: array.byteLength,
+            extensions: {
+                EXT_meshopt_compression: {
+                    buffer: 0,
+                    byteOffset: this.byteLength,
+                    byteLength: encoded.byteLength,
+                    byteStride: stride,
+                    mode,
+                    count
+                }
+            }
+        };
+        if (filter) bufferView.extensions.EXT_meshopt_compression.filter = filter;
+        if (target) bufferView.target = target;
+        if (mode === 'ATTRIBUTES' && target) bufferView.byteStride = stride;
+
+        this.chunks.push(encoded);
+        this.byteLength = align4(this.byteLength + encoded.byteLength);
+        this.fallbackLength = align4(this.fallbackLength + array.byteLength);
+        this.bufferViews.push(bufferView);
+        return this.bufferViews.length - 1;
+    }
+
+    binary() {
+        const data = new Uint8Array(this.byteLength);
+        this.bufferViews.forEach((bufferView, i) => {
+            data.set(this.chunks[i], bufferView.extensions.EXT_meshopt_compression.byteOffset);
+        });
+        return data;
+    }
+}
+
+function align4(length) {
+    return Math.ceil(length / 4) * 4;
+}
+
+// Vertex-cache and fetch order compress much better; unused vertices are dropped
+function reorderGeometry(geometry) {
+    const position = floatPositions(geometry.attributes.position);
+    const vertexCount = position.length / 3;
+    const index = geometry.index
+        ? Uint32Array.from(geometry.index.array)
+        : Uint32Array.from({ length: vertexCount }, (_, i) => i);
+
+    const [remap, unique] = MeshoptEncoder.reorderMesh(index, true, false);
+    const reordered = new Float32Array(unique * 3);
+    for (let vertex = 0; vertex < vertexCount; vertex++) {
+        if (remap[vertex] !== 0xffffffff) reordered.set(position.subarray(vertex * 3, vertex * 3 + 3), remap[vertex] * 3);
+    }
+
+    return { position: reordered, index: unique <= 0xffff ? Uint16Array.from(index) : index };
+}
+
+// Exponential-filter data plus the floats it decodes to (signed 8-bit exponent
+// over a 24-bit mantissa), so processing and bounds see exactly what the viewer gets
+function quantize(array, stride, bits) {
+    const filtered = MeshoptEncoder.encodeFilterExp(array, array.byteLength / stride, stride, bits);
+    const words = new Int32Array(filtered.buffer, filtered.byteOffset, filtered.byteLength / 4);
+    return {
+        filtered,
+        values: Float32Array.from(words, (word) => (word << 8 >> 8) * Math.pow(2, word >> 24))
+    };
+}
+
+function indexType(index) {
+    return index instanceof Uint16Array ? 'uint16' : 'uint32';
+}
+
+function writeGeometry(geometry, lod, writer, gltf) {
+    const reordered = reorderGeometry(geometry);
+    const quantized = quantize(reordered.position, 12, POSITION_BITS);
+    const position = quantized.values;
+    const index = reordered.index;
+    const processed = processMesh(position, index, lod, MeshoptSimplifier);
+
+    const accessor = (bufferView, componentType, count, type, extra = {}) => {
+        gltf.accessors.push({ bufferView, componentType, count, type, ...extra });
+        return gltf.accessors.length - 1;
+    };
+
+    const positionAccessor = accessor(writer.add(quantized.filtered, 12, 'ATTRIBUTES', { target: 34962, filter: 'EXPONENTIAL' }), FLOAT, position.length / 3, 'VEC3', {
+        min: processed.bounds.slice(0, 3),
+        max: processed.bounds.slice(3)
+    });
+    const indexAccessor = accessor(
+        writer.add(index, index.BYTES_PER_ELEMENT, 'TRIANGLES', { target: 34963 }),
+        index instanceof Uint16Array ? UNSIGNED_SHORT : UNSIGNED_INT,
+        index.length,
+        'SCALAR'
+    );
+
+    gltf.meshes.push({ primitives: [{ attributes: { POSITION: positionAccessor }, indices: indexAccessor }] });
+
+    const edgeView = (array, bits) => array.length > 0
+        ? writer.add(quantize(array, 12, bits).filtered, 12, 'ATTRIBUTES', { filter: 'EXPONENTIAL' })
+        : null;
+    const levels = processed.levels.map((level) => {
+        // Coarser levels index the same vertices; stored in the mesh's index type
+        const levelIndex = level.index && (index instanceof Uint16Array ? Uint16Array.from(level.index) : level.index);
+        return {
+            index: levelIndex ? writer.add(levelIndex, levelIndex.BYTES_PER_ELEMENT, 'TRIANGLES') : null,
+            indexType: indexType(index),
+            error: level.error,
+            triangles: level.triangles,
+            edges: {
+                positions: edgeView(level.edges.positions, POSITION_BITS),
+                normalsA: edgeView(level.edges.normalsA, NORMAL_BITS),
+                normalsB: edgeView(level.edges.normalsB, NORMAL_BITS)
+            }
+        };
+    });
+
+    return { bounds: processed.bounds, levels };
+}
+
+function nodeEntry(object, matrix) {
+    const node = { name: object.userData.name || object.name };
+    if (!matrix.equals(new THREE.Matrix4())) node.matrix = matrix.toArray();
+
+    // glTF extras (part numbers etc.) come back as userData; name is the loader's own
+    const { name, ...extras } = object.userData;
+    if (Object.keys(extras).length > 0) node.extras = extras;
+    return node;
+}
+
+function validate(components, report) {
+    // Sequence manifests match by name, so duplicates are worth knowing about
+    const warnings = [];
+    const names = new Map();
+    components.forEach(({ node }) => {
+        const name = node.userData.name || node.name;
+        names.set(name, (names.get(name) || 0) + 1);
+    });
+    names.forEach((count, name) => {
+        if (count > 1) warnings.push(`${count} components are named "${name}"`);
+    });
+
+    components.forEach(({ node, meshes }) => {
+        const empty = meshes.filter((mesh) => !mesh.geometry.attributes.position || mesh.geometry.attributes.position.count === 0);
+        if (empty.length > 0) warnings.push(`"${node.name}" has ${empty.length} mesh(es) without vertices, left out`);
+    });
+
+    report.warnings = warnings;
+}
+
+function buildGLB(json, binary) {
+    const jsonBytes = new TextEncoder().encode(JSON.stringify(json));
+    const jsonLength = align4(jsonBytes.length);
+    const binLength = align4(binary.length);
+    const total = 12 + 8 + jsonLength + 8 + binLength;
+
+    const glb = new Uint8Array(total);
+    const view = new DataView(glb.buffer);
+    view.setUint32(0, GLB_MAGIC, true);
+    view.setUint32(4, 2, true);
+    view.setUint32(8, total, true);
+
+    view.setUint32(12, jsonLength, true);
+    view.setUint32(16, CHUNK_JSON, true);
+    glb.set(jsonBytes, 20);
+    glb.fill(0x20, 20 + jsonBytes.length, 20 + jsonLength); // JSON chunk is padded with spaces
+
+    const binStart = 20 + jsonLength;
+    view.setUint32(binStart, binLength, true);
+    view.setUint32(binStart + 4, CHUNK_BIN, true);
+    glb.set(binary, binStart + 8);
+    return glb;
+}
+
+async function packageModel(options) {
+    const grouping = { ...DEFAULT_GROUPING, ...(await readJson(options.grouping)) };
+    const lod = { ...DEFAULT_LOD, ...(await readJson(options.lod)) };
+
+    await Promise.all([MeshoptEncoder.ready, MeshoptSimplifier.ready]);
+    const model = await loadModel(options.input);
+
+    // Copies of a part exported as separate meshes become one glTF mesh, as in the viewer
+    shareIdenticalGeometry(model);
+
+    // Same detection as AssemblyAnimation.processModel
+    const { components, bounds, report } = detectComponents(model, grouping);
+    validate(components, report);
+
+    const writer = new BufferWriter();
+    const gltf = {
+        asset: { version: '2.0', generator: 'BlitzPanel package-model' },
+        extensionsUsed: ['EXT_meshopt_compression'],
+        extensionsRequired: ['EXT_meshopt_compression'],
+        scene: 0,
+        scenes: [{ nodes: [] }],
+        nodes: [],
+        meshes: [],
+        accessors: []
+    };
+    const geometries = [];
+    const meshIndices = new Map(); // BufferGeometry -> glTF mesh, so instances stay shared
+
+    const manifestComponents = components.map(({ node, meshes, box, size, mergedNames }, order) => {
+        // Each component becomes a top-level node at its world transform, its
+        // meshes (merged small parts included) underneath
+        const componentNode = nodeEntry(node, node.matrixWorld);
+        const nodeInverse = node.matrixWorld.clone().invert();
+        const children = [];
+
+        meshes.forEach((mesh) => {
+            if (!mesh.geometry.attributes.position || mesh.geometry.attributes.position.count === 0) return;
+
+            if (!meshIndices.has(mesh.geometry)) {
+                meshIndices.set(mesh.geometry, gltf.meshes.length);
+                geometries.push(writeGeometry(mesh.geometry, lod, writer, gltf));
+            }
+
+            const meshNode = nodeEntry(mesh, nodeInverse.clone().multiply(mesh.matrixWorld));
+            meshNode.mesh = meshIndices.get(mesh.geometry);
+            gltf.nodes.push(meshNode);
+            children.push(gltf.nodes.length - 1);
+        });
+        // glTF wants children non-empty; a component without drawable meshes has none
+        if (children.length > 0) componentNode.children = children;
+
+        gltf.nodes.push(componentNode);
+        gltf.scenes[0].nodes.push(gltf.nodes.length - 1);
+
+        const entry = {
+            name: node.userData.name || node.name,
+            order,
+            bounds: [...box.min.toArray(), ...box.max.toArray()],
+            size
+        };
+        if (mergedNames) entry.mergedParts = mergedNames;
+        return entry;
+    });
+
+    const binary = writer.binary();
+    gltf.bufferViews = writer.bufferViews;
+    gltf.buffers = [
+        { byteLength: binary.length },
+        { byteLength: writer.fallbackLength, extensions: { EXT_meshopt_compression: { fallback: true } } }
+    ];
+
+    const manifest = {
+        format: PACKAGE_FORMAT,
+        version: PACKAGE_VERSION,
+        source: path.basename(options.input),
+        model: 'model.glb',
+        grouping,
+        lod: { enabled: lod.enabled, minTriangles: lod.minTriangles, levels: lod.levels },
+        bounds: [...bounds.min.toArray(), ...bounds.max.toArray()],
+        components: manifestComponents, // Default assembly order: largest first
+        geometries,
+        report
+    };
+
+    await mkdir(options.output, { recursive: true });
+    const glb = buildGLB(gltf, binary);
+    await writeFile(path.join(options.output, 'model.glb'), glb);
+    await writeFile(path.join(options.output, 'manifest.json'), JSON.stringify(manifest, null, 4) + '\n');
+
+    logGroupingReport(report);
+    report.warnings.forEach((warning) => console.warn(`Warning: ${warning}`));
+
+    const inputSize = (await readFile(options.input)).length;
+    console.log(
+        `Wrote ${options.output}: ${manifestComponents.length} components, ${geometries.length} meshes, ` +
+        `model.glb ${(glb.length / 1e6).toFixed(2)} MB (source ${(inputSize / 1e6).toFixed(2)} MB)`
+    );
+}
+
+const options = parseArguments(process.argv.slice(2));
+if (!options) {
+    console.log('Usage: node tools/package-model.mjs <model.glb> [output-folder] [--grouping grouping.json] [--lod lod.json]');
+    process.exit(1);
+}
+
+packageModel(options).catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+});